@@ -0,0 +1,174 @@
+// Snapping, alignment guides, align/distribute commands and the geometry of
+// keyboard navigation. All functions work on node rectangles ({ key, left,
+// right, top, bottom, centerX, centerY }) in diagram coordinates, so they do
+// not depend on pan/zoom.
+
+const X_ANCHORS = ['left', 'centerX', 'right'];
+const Y_ANCHORS = ['top', 'centerY', 'bottom'];
+
+const shiftRect = (rect, dx, dy) => ({
+    left: rect.left + dx,
+    right: rect.right + dx,
+    centerX: rect.centerX + dx,
+    top: rect.top + dy,
+    bottom: rect.bottom + dy,
+    centerY: rect.centerY + dy
+});
+
+// Closest anchor match of the moved rect against any target within the threshold
+function findGuide(moved, targets, anchors, threshold) {
+    let best = null;
+    targets.forEach(target => {
+        anchors.forEach(ownAnchor => {
+            anchors.forEach(targetAnchor => {
+                const offset = target[targetAnchor] - moved[ownAnchor];
+                if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset, position: target[targetAnchor], target };
+                }
+            });
+        });
+    });
+    return best;
+}
+
+const snapToGrid = (value, spacing) => Math.round(value / spacing) * spacing;
+
+// Adjust a drag delta so the dragged rect lines up with other nodes (smart
+// guides) or, failing that, with the grid. Returns the adjusted delta and the
+// guide lines to draw.
+export function computeSnap(rect, delta, targets, { threshold, gridSpacing = 0, guides = true }) {
+    const moved = shiftRect(rect, delta.x, delta.y);
+    let dx = delta.x;
+    let dy = delta.y;
+    const lines = [];
+
+    const guideX = guides ? findGuide(moved, targets, X_ANCHORS, threshold) : null;
+    const guideY = guides ? findGuide(moved, targets, Y_ANCHORS, threshold) : null;
+
+    if (guideX) {
+        dx += guideX.offset;
+    } else if (gridSpacing > 0) {
+        dx += snapToGrid(moved.left, gridSpacing) - moved.left;
+    }
+    if (guideY) {
+        dy += guideY.offset;
+    } else if (gridSpacing > 0) {
+        dy += snapToGrid(moved.top, gridSpacing) - moved.top;
+    }
+
+    const snapped = shiftRect(rect, dx, dy);
+    if (guideX) {
+        lines.push({
+            x1: guideX.position,
+            y1: Math.min(snapped.top, guideX.target.top),
+            x2: guideX.position,
+            y2: Math.max(snapped.bottom, guideX.target.bottom)
+        });
+    }
+    if (guideY) {
+        lines.push({
+            x1: Math.min(snapped.left, guideY.target.left),
+            y1: guideY.position,
+            x2: Math.max(snapped.right, guideY.target.right),
+            y2: guideY.position
+        });
+    }
+
+    return { x: dx, y: dy, lines };
+}
+
+// Offsets that align all rects to the selection's left/center/right or
+// top/middle/bottom line
+export function alignRects(rects, mode) {
+    const offsets = new Map();
+    if (rects.length < 2) return offsets;
+
+    const left = Math.min(...rects.map(rect => rect.left));
+    const right = Math.max(...rects.map(rect => rect.right));
+    const top = Math.min(...rects.map(rect => rect.top));
+    const bottom = Math.max(...rects.map(rect => rect.bottom));
+
+    rects.forEach(rect => {
+        let dx = 0;
+        let dy = 0;
+        switch (mode) {
+            case 'left': dx = left - rect.left; break;
+            case 'center': dx = (left + right) / 2 - rect.centerX; break;
+            case 'right': dx = right - rect.right; break;
+            case 'top': dy = top - rect.top; break;
+            case 'middle': dy = (top + bottom) / 2 - rect.centerY; break;
+            case 'bottom': dy = bottom - rect.bottom; break;
+            default: throw new Error(`Unknown alignment "${mode}"`);
+        }
+        offsets.set(rect.key, { x: dx, y: dy });
+    });
+    return offsets;
+}
+
+// Offsets that spread rects evenly between the outermost ones, with equal
+// gaps between neighboring boxes ('horizontal' or 'vertical')
+export function distributeRects(rects, axis) {
+    const offsets = new Map();
+    if (rects.length < 3) return offsets;
+
+    const [start, end, size] = axis === 'horizontal'
+        ? ['left', 'right', rect => rect.right - rect.left]
+        : ['top', 'bottom', rect => rect.bottom - rect.top];
+    const center = axis === 'horizontal' ? 'centerX' : 'centerY';
+
+    const sorted = rects.slice().sort((a, b) => a[center] - b[center]);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const totalSize = sorted.reduce((sum, rect) => sum + size(rect), 0);
+    const gap = (last[end] - first[start] - totalSize) / (sorted.length - 1);
+
+    let position = first[start];
+    sorted.forEach(rect => {
+        const offset = position - rect[start];
+        offsets.set(rect.key, axis === 'horizontal' ? { x: offset, y: 0 } : { x: 0, y: offset });
+        position += size(rect) + gap;
+    });
+    return offsets;
+}
+
+// Rects in reading order: rows from top to bottom, left to right within a
+// row. A rect joins a row when its center lies within the upper half of the
+// row's first rect's height from that rect's center.
+export function sortByReadingOrder(rects) {
+    const rows = [];
+    rects.slice().sort((a, b) => a.centerY - b.centerY).forEach(rect => {
+        const row = rows[rows.length - 1];
+        if (row && rect.centerY - row[0].centerY <= (row[0].bottom - row[0].top) / 2) {
+            row.push(rect);
+        } else {
+            rows.push([rect]);
+        }
+    });
+    return rows.flatMap(row => row.sort((a, b) => a.centerX - b.centerX));
+}
+
+// Where a rect lies as seen from another: 'left', 'right', 'up' or 'down',
+// along the axis with the larger distance between the centers
+export function directionBetween(from, to) {
+    const dx = to.centerX - from.centerX;
+    const dy = to.centerY - from.centerY;
+    if (Math.abs(dx) > Math.abs(dy)) {
+        return dx < 0 ? 'left' : 'right';
+    }
+    return dy < 0 ? 'up' : 'down';
+}
+
+// The closest of the candidate rects that lies in the given direction, or null
+export function findInDirection(from, candidates, direction) {
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(rect => {
+        if (directionBetween(from, rect) !== direction) return;
+        const distance = Math.hypot(rect.centerX - from.centerX, rect.centerY - from.centerY);
+        if (distance < bestDistance) {
+            best = rect;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
@@ -0,0 +1,322 @@
+// In-browser automatic layout algorithms. They work on plain data:
+//   nodes: [{ key, x, y, width, height, pinned }]  (x/y are box centers)
+//   edges: [{ source, target, upward }]            (node keys; upward marks
+//          inheritance, whose target belongs above its source)
+// and return a Map of node key -> new center. Pinned nodes keep their place.
+
+const NODE_GAP = 40;
+const LAYER_GAP = 80;
+
+// --- Shared helpers ---
+
+function boundingBox(nodes, positions) {
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    nodes.forEach(node => {
+        const { x, y } = positions.get(node.key);
+        left = Math.min(left, x - node.width / 2);
+        top = Math.min(top, y - node.height / 2);
+        right = Math.max(right, x + node.width / 2);
+        bottom = Math.max(bottom, y + node.height / 2);
+    });
+    return { left, top, right, bottom };
+}
+
+// Shift the free nodes so their bounding box starts where it was before,
+// which keeps the diagram from jumping away from the current view
+function anchorToPrevious(freeNodes, positions) {
+    if (freeNodes.length === 0) return positions;
+    const previous = boundingBox(freeNodes, new Map(freeNodes.map(node => [node.key, node])));
+    const current = boundingBox(freeNodes, positions);
+    const shiftX = previous.left - current.left;
+    const shiftY = previous.top - current.top;
+    freeNodes.forEach(node => {
+        const position = positions.get(node.key);
+        positions.set(node.key, { x: position.x + shiftX, y: position.y + shiftY });
+    });
+    return positions;
+}
+
+// Push overlapping boxes apart; pinned nodes never move
+function removeOverlaps(nodes, positions, gap = NODE_GAP / 2, maxPasses = 50) {
+    for (let pass = 0; pass < maxPasses; pass++) {
+        let moved = false;
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = nodes[i];
+                const b = nodes[j];
+                if (a.pinned && b.pinned) continue;
+                const pa = positions.get(a.key);
+                const pb = positions.get(b.key);
+                const overlapX = (a.width + b.width) / 2 + gap - Math.abs(pa.x - pb.x);
+                const overlapY = (a.height + b.height) / 2 + gap - Math.abs(pa.y - pb.y);
+                if (overlapX <= 0 || overlapY <= 0) continue;
+
+                // Separate along the axis with the smaller overlap
+                const alongX = overlapX < overlapY;
+                const sign = alongX ? Math.sign(pb.x - pa.x) || 1 : Math.sign(pb.y - pa.y) || 1;
+                const amount = alongX ? overlapX : overlapY;
+                const shareA = a.pinned ? 0 : (b.pinned ? 1 : 0.5);
+                const shareB = 1 - shareA;
+                if (alongX) {
+                    positions.set(a.key, { x: pa.x - sign * amount * shareA, y: pa.y });
+                    positions.set(b.key, { x: pb.x + sign * amount * shareB, y: pb.y });
+                } else {
+                    positions.set(a.key, { x: pa.x, y: pa.y - sign * amount * shareA });
+                    positions.set(b.key, { x: pb.x, y: pb.y + sign * amount * shareB });
+                }
+                moved = true;
+            }
+        }
+        if (!moved) break;
+    }
+    return positions;
+}
+
+function initialPositions(nodes) {
+    return new Map(nodes.map(node => [node.key, { x: node.x, y: node.y }]));
+}
+
+// --- Force-directed ---
+
+export function forceDirectedLayout(nodes, edges, { iterations = 300 } = {}) {
+    const positions = initialPositions(nodes);
+    if (nodes.length < 2) return positions;
+
+    const averageSize = nodes.reduce((sum, node) => sum + Math.max(node.width, node.height), 0) / nodes.length;
+    const idealLength = averageSize + NODE_GAP * 2;
+    const links = edges.filter(edge => edge.source !== edge.target &&
+        positions.has(edge.source) && positions.has(edge.target));
+
+    let temperature = idealLength;
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const forces = new Map(nodes.map(node => [node.key, { x: 0, y: 0 }]));
+
+        // Repulsion between every pair
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = positions.get(nodes[i].key);
+                const b = positions.get(nodes[j].key);
+                let dx = a.x - b.x;
+                let dy = a.y - b.y;
+                let distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance < 0.01) {
+                    // Coincident nodes: separate them in a deterministic direction
+                    dx = (i - j) * 0.01;
+                    dy = 0.01;
+                    distance = Math.sqrt(dx * dx + dy * dy);
+                }
+                const force = (idealLength * idealLength) / distance;
+                const fx = (dx / distance) * force;
+                const fy = (dy / distance) * force;
+                forces.get(nodes[i].key).x += fx;
+                forces.get(nodes[i].key).y += fy;
+                forces.get(nodes[j].key).x -= fx;
+                forces.get(nodes[j].key).y -= fy;
+            }
+        }
+
+        // Attraction along edges
+        links.forEach(edge => {
+            const a = positions.get(edge.source);
+            const b = positions.get(edge.target);
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+            const force = (distance * distance) / idealLength;
+            const fx = (dx / distance) * force;
+            const fy = (dy / distance) * force;
+            forces.get(edge.source).x -= fx;
+            forces.get(edge.source).y -= fy;
+            forces.get(edge.target).x += fx;
+            forces.get(edge.target).y += fy;
+        });
+
+        // Move free nodes, limited by the cooling temperature
+        nodes.forEach(node => {
+            if (node.pinned) return;
+            const force = forces.get(node.key);
+            const magnitude = Math.sqrt(force.x * force.x + force.y * force.y);
+            if (magnitude === 0) return;
+            const step = Math.min(magnitude, temperature);
+            const position = positions.get(node.key);
+            positions.set(node.key, {
+                x: position.x + (force.x / magnitude) * step,
+                y: position.y + (force.y / magnitude) * step
+            });
+        });
+
+        temperature = Math.max(1, temperature * 0.97);
+    }
+
+    anchorToPrevious(nodes.filter(node => !node.pinned), positions);
+    return removeOverlaps(nodes, positions);
+}
+
+// --- Layered (top-down) ---
+
+// Assign each node a layer: upper -> lower edges, cycles broken by dropping back edges
+function assignLayers(nodes, downwardEdges) {
+    const children = new Map(nodes.map(node => [node.key, []]));
+    downwardEdges.forEach(({ upper, lower }) => children.get(upper).push(lower));
+
+    // DFS to find and drop back edges
+    const state = new Map();
+    const acyclic = new Map(nodes.map(node => [node.key, []]));
+    const visit = (key) => {
+        state.set(key, 'active');
+        children.get(key).forEach(child => {
+            if (state.get(child) === 'active') return; // back edge
+            acyclic.get(key).push(child);
+            if (!state.has(child)) visit(child);
+        });
+        state.set(key, 'done');
+    };
+    nodes.forEach(node => {
+        if (!state.has(node.key)) visit(node.key);
+    });
+
+    // Longest path from the roots
+    const parents = new Map(nodes.map(node => [node.key, []]));
+    acyclic.forEach((lowers, upper) => lowers.forEach(lower => parents.get(lower).push(upper)));
+    const layers = new Map();
+    const layerOf = (key) => {
+        if (layers.has(key)) return layers.get(key);
+        layers.set(key, 0); // Guard, the graph is acyclic by now
+        const layer = parents.get(key).reduce((max, parent) => Math.max(max, layerOf(parent) + 1), 0);
+        layers.set(key, layer);
+        return layer;
+    };
+    nodes.forEach(node => layerOf(node.key));
+    return { layers, parents, children: acyclic };
+}
+
+// Order nodes within layers by the average position of their neighbors
+function orderLayers(rows, parents, children) {
+    const indexOf = new Map();
+    const reindex = () => rows.forEach(row => row.forEach((key, index) => indexOf.set(key, index)));
+    reindex();
+
+    const barycenter = (key, neighbors) => {
+        const list = neighbors.get(key).filter(neighbor => indexOf.has(neighbor));
+        if (list.length === 0) return indexOf.get(key);
+        return list.reduce((sum, neighbor) => sum + indexOf.get(neighbor), 0) / list.length;
+    };
+
+    for (let sweep = 0; sweep < 8; sweep++) {
+        const downward = sweep % 2 === 0;
+        const sequence = downward ? rows.slice(1) : rows.slice(0, -1).reverse();
+        sequence.forEach(row => {
+            const weights = new Map(row.map(key => [key, barycenter(key, downward ? parents : children)]));
+            row.sort((a, b) => weights.get(a) - weights.get(b));
+            row.forEach((key, index) => indexOf.set(key, index));
+        });
+    }
+    return rows;
+}
+
+export function layeredLayout(nodes, edges) {
+    const positions = initialPositions(nodes);
+    if (nodes.length === 0) return positions;
+
+    const nodesByKey = new Map(nodes.map(node => [node.key, node]));
+    // Inheritance puts the parent (edge target) above the child
+    const downwardEdges = edges
+        .filter(edge => edge.source !== edge.target && nodesByKey.has(edge.source) && nodesByKey.has(edge.target))
+        .map(edge => edge.upward
+            ? { upper: edge.target, lower: edge.source }
+            : { upper: edge.source, lower: edge.target });
+
+    const { layers, parents, children } = assignLayers(nodes, downwardEdges);
+    const rows = [];
+    nodes.forEach(node => {
+        const layer = layers.get(node.key);
+        (rows[layer] = rows[layer] || []).push(node.key);
+    });
+    orderLayers(rows.filter(Boolean), parents, children);
+
+    // Place rows top-down, each row centered on x = 0
+    let y = 0;
+    rows.filter(Boolean).forEach(row => {
+        const rowHeight = Math.max(...row.map(key => nodesByKey.get(key).height));
+        const rowWidth = row.reduce((sum, key) => sum + nodesByKey.get(key).width, 0) + NODE_GAP * (row.length - 1);
+        let x = -rowWidth / 2;
+        row.forEach(key => {
+            const node = nodesByKey.get(key);
+            if (!node.pinned) {
+                positions.set(key, { x: x + node.width / 2, y: y + rowHeight / 2 });
+            }
+            x += node.width + NODE_GAP;
+        });
+        y += rowHeight + LAYER_GAP;
+    });
+
+    const freeNodes = nodes.filter(node => !node.pinned);
+    anchorToPrevious(freeNodes, positions);
+    return removeOverlaps(nodes, positions);
+}
+
+// --- Compact grid ---
+
+export function gridLayout(nodes, edges) {
+    const positions = initialPositions(nodes);
+    const freeNodes = nodes.filter(node => !node.pinned);
+    if (freeNodes.length === 0) return positions;
+
+    // Breadth-first order keeps related nodes in neighboring cells
+    const neighbors = new Map(freeNodes.map(node => [node.key, []]));
+    edges.forEach(({ source, target }) => {
+        if (neighbors.has(source) && neighbors.has(target) && source !== target) {
+            neighbors.get(source).push(target);
+            neighbors.get(target).push(source);
+        }
+    });
+    const byDegree = freeNodes.slice().sort((a, b) => neighbors.get(b.key).length - neighbors.get(a.key).length);
+    const order = [];
+    const seen = new Set();
+    byDegree.forEach(start => {
+        if (seen.has(start.key)) return;
+        const queue = [start.key];
+        seen.add(start.key);
+        while (queue.length > 0) {
+            const key = queue.shift();
+            order.push(key);
+            neighbors.get(key).forEach(neighbor => {
+                if (!seen.has(neighbor)) {
+                    seen.add(neighbor);
+                    queue.push(neighbor);
+                }
+            });
+        }
+    });
+
+    const nodesByKey = new Map(freeNodes.map(node => [node.key, node]));
+    const columns = Math.ceil(Math.sqrt(order.length));
+    const rowCount = Math.ceil(order.length / columns);
+    const cell = (row, column) => nodesByKey.get(order[row * columns + column]);
+    const columnWidths = Array.from({ length: columns }, (_, column) =>
+        Math.max(0, ...Array.from({ length: rowCount }, (_, row) => (cell(row, column) || { width: 0 }).width)));
+    const rowHeights = Array.from({ length: rowCount }, (_, row) =>
+        Math.max(0, ...Array.from({ length: columns }, (_, column) => (cell(row, column) || { height: 0 }).height)));
+
+    let y = 0;
+    for (let row = 0; row < rowCount; row++) {
+        let x = 0;
+        for (let column = 0; column < columns; column++) {
+            const node = cell(row, column);
+            if (node) {
+                positions.set(node.key, { x: x + columnWidths[column] / 2, y: y + rowHeights[row] / 2 });
+            }
+            x += columnWidths[column] + NODE_GAP;
+        }
+        y += rowHeights[row] + NODE_GAP;
+    }
+
+    anchorToPrevious(freeNodes, positions);
+    return removeOverlaps(nodes, positions);
+}
+
+export const LAYOUT_ALGORITHMS = {
+    force: { label: 'Force-directed', run: forceDirectedLayout },
+    layered: { label: 'Layered', run: layeredLayout },
+    grid: { label: 'Grid', run: gridLayout }
+};
@@ -0,0 +1,233 @@
+// Benchmark page: loads the viewer in a frame, renders a generated class
+// diagram and measures render time and frame times while a node is dragged
+// (once per edge style) and after an edit of the text.
+
+const classCountInput = document.getElementById('classCountInput');
+const seedInput = document.getElementById('seedInput');
+const dragFramesInput = document.getElementById('dragFramesInput');
+const runButton = document.getElementById('runButton');
+const benchmarkStatus = document.getElementById('benchmarkStatus');
+const resultsBody = document.getElementById('resultsBody');
+const viewerFrame = document.getElementById('viewerFrame');
+
+// The viewer renders this long after the last keystroke; render times include it
+const TYPING_PAUSE_MS = 500;
+// Give up waiting for a render after this long
+const RENDER_TIMEOUT_MS = 120000;
+// Radius of the circle the dragged node is moved along, in screen pixels
+const DRAG_RADIUS_PX = 80;
+const RELATION_ARROWS = ['<|--', '*--', 'o--', '-->', '..>', '--'];
+
+// Deterministic pseudo-random numbers (mulberry32), so a seed always gives the same diagram
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A class diagram with members, a spanning tree of relations and a quarter as
+// many extra relations between random classes
+function generateClassDiagram(classCount, seed) {
+    const random = createRandom(seed);
+    const pick = (count) => Math.floor(random() * count);
+    const lines = ['classDiagram'];
+    for (let index = 0; index < classCount; index++) {
+        lines.push(`    class Class${index} {`);
+        lines.push(`        +int id`);
+        lines.push(`        -String name${index}`);
+        lines.push(`        +update${index}(value) bool`);
+        lines.push('    }');
+    }
+    for (let index = 1; index < classCount; index++) {
+        lines.push(`    Class${pick(index)} ${RELATION_ARROWS[pick(RELATION_ARROWS.length)]} Class${index}`);
+    }
+    for (let count = 0; count < Math.floor(classCount / 4); count++) {
+        const source = pick(classCount);
+        const target = pick(classCount);
+        if (source !== target) lines.push(`    Class${source} --> Class${target}`);
+    }
+    return lines.join('\n');
+}
+
+// Elements of the viewer live in the shadow root of the page's <mermaid-viewer>
+const viewerRoot = (view) => view.document.querySelector('mermaid-viewer').shadowRoot;
+
+const nextFrame = (view) => new Promise(resolve => view.requestAnimationFrame(resolve));
+
+async function waitFor(view, condition, what) {
+    const start = performance.now();
+    while (!condition()) {
+        if (performance.now() - start > RENDER_TIMEOUT_MS) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await nextFrame(view);
+    }
+}
+
+// Collect the time between frames until the returned function is called
+function recordFrames(view) {
+    const durations = [];
+    let last = null;
+    let running = true;
+    const tick = (time) => {
+        if (last !== null) durations.push(time - last);
+        last = time;
+        if (running) view.requestAnimationFrame(tick);
+    };
+    view.requestAnimationFrame(tick);
+    return () => {
+        running = false;
+        return durations;
+    };
+}
+
+// Replace the viewer's text as if typed and wait until the viewer reports the
+// diagram with the given number of nodes as rendered and interactive (its edges
+// have grab areas). The result says whether the render only patched the changes.
+async function renderText(view, text, nodeCount) {
+    const root = viewerRoot(view);
+    const input = root.getElementById('mermaidInput');
+    let rendered = null;
+    const onRendered = (e) => {
+        rendered = e.detail;
+    };
+    root.host.addEventListener('rendered', onRendered);
+    const stopRecording = recordFrames(view);
+    const start = performance.now();
+    input.value = text;
+    input.dispatchEvent(new view.Event('input'));
+    try {
+        await waitFor(view, () => rendered && rendered.nodes === nodeCount &&
+            root.querySelector('#mermaidOutput svg path.edge-hit'), 'the diagram to render');
+    } finally {
+        root.host.removeEventListener('rendered', onRendered);
+    }
+    await nextFrame(view);
+    return { time: performance.now() - start, frames: stopRecording(), incremental: rendered.incremental };
+}
+
+// Drag a node once around a circle, one pointer move per frame
+async function dragNode(view, node, frameCount) {
+    const doc = view.document;
+    const box = node.getBoundingClientRect();
+    const center = { x: box.left + box.width / 2, y: box.top + box.height / 2 };
+    const pointer = (type, x, y) => new view.PointerEvent(type, {
+        bubbles: true,
+        cancelable: true,
+        pointerId: 1,
+        pointerType: 'mouse',
+        isPrimary: true,
+        button: 0,
+        buttons: type === 'pointerup' ? 0 : 1,
+        clientX: x,
+        clientY: y
+    });
+
+    (node.querySelector('rect, path, polygon') || node).dispatchEvent(pointer('pointerdown', center.x, center.y));
+    const durations = [];
+    let last = await nextFrame(view);
+    for (let frame = 1; frame <= frameCount; frame++) {
+        const angle = 2 * Math.PI * frame / frameCount;
+        doc.dispatchEvent(pointer('pointermove',
+            center.x + DRAG_RADIUS_PX * Math.sin(angle),
+            center.y + DRAG_RADIUS_PX * (1 - Math.cos(angle))));
+        const time = await nextFrame(view);
+        durations.push(time - last);
+        last = time;
+    }
+    doc.dispatchEvent(pointer('pointerup', center.x, center.y));
+    return durations;
+}
+
+function summarize(durations) {
+    const sorted = durations.slice().sort((a, b) => a - b);
+    const average = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    return {
+        average,
+        median: sorted[Math.floor(sorted.length / 2)],
+        p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        longest: sorted[sorted.length - 1]
+    };
+}
+
+const formatMs = (value) => `${value.toFixed(1)} ms`;
+
+function addResult(label, values) {
+    const row = document.createElement('tr');
+    [label, ...values].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    resultsBody.appendChild(row);
+}
+
+function addFrameResult(label, durations) {
+    const { average, median, p95, longest } = summarize(durations);
+    addResult(label, ['', formatMs(average), formatMs(median), formatMs(p95), formatMs(longest),
+        `${(1000 / average).toFixed(0)} fps`]);
+}
+
+function addRenderResult(label, { time, frames }) {
+    addResult(label, [formatMs(time), '', '', '',
+        frames.length > 0 ? formatMs(Math.max(...frames)) : '', '']);
+}
+
+async function runBenchmark() {
+    const classCount = Math.max(2, parseInt(classCountInput.value, 10) || 500);
+    const seed = parseInt(seedInput.value, 10) || 1;
+    const frameCount = Math.max(10, parseInt(dragFramesInput.value, 10) || 120);
+    const view = viewerFrame.contentWindow;
+    const root = viewerRoot(view);
+    resultsBody.innerHTML = '';
+    runButton.disabled = true;
+
+    try {
+        benchmarkStatus.textContent = `Rendering ${classCount} classes...`;
+        const source = generateClassDiagram(classCount, seed);
+        addRenderResult(`Render ${classCount} classes (incl. ${TYPING_PAUSE_MS} ms typing pause)`,
+            await renderText(view, source, classCount));
+
+        const edgeStyleSelect = root.getElementById('edgeStyleSelect');
+        for (const option of Array.from(edgeStyleSelect.options)) {
+            benchmarkStatus.textContent = `Dragging a node with ${option.textContent.toLowerCase()} edges...`;
+            edgeStyleSelect.value = option.value;
+            edgeStyleSelect.dispatchEvent(new view.Event('change'));
+            await nextFrame(view);
+            // Class0 is the root of the relation tree and has the most relations
+            const node = root.querySelector('#mermaidOutput svg g.node[id^="classId-Class0-"]');
+            addFrameResult(`Drag a node (${option.textContent.toLowerCase()} edges)`, await dragNode(view, node, frameCount));
+        }
+        edgeStyleSelect.value = 'curved';
+        edgeStyleSelect.dispatchEvent(new view.Event('change'));
+
+        benchmarkStatus.textContent = 'Editing the text...';
+        const edited = source.replace('class Class0 {', 'class Class0 {\n        +String addedMember');
+        const result = await renderText(view, edited, classCount);
+        addRenderResult(`Re-render after an edit, ${result.incremental ? 'patched' : 'in full'} ` +
+            `(incl. ${TYPING_PAUSE_MS} ms typing pause)`, result);
+        benchmarkStatus.textContent = 'Done';
+    } catch (error) {
+        benchmarkStatus.textContent = `Benchmark failed: ${error.message}`;
+    } finally {
+        runButton.disabled = false;
+    }
+}
+
+runButton.addEventListener('click', runBenchmark);
+
+// The viewer renders its default diagram first
+viewerFrame.addEventListener('load', async () => {
+    const view = viewerFrame.contentWindow;
+    await waitFor(view, () => {
+        const element = view.document.querySelector('mermaid-viewer');
+        return element && element.shadowRoot && element.shadowRoot.querySelector('#mermaidOutput svg path.edge-hit');
+    }, 'the viewer');
+    runButton.disabled = false;
+    benchmarkStatus.textContent = 'Ready';
+});
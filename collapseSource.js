@@ -0,0 +1,127 @@
+// Collapsed class members and namespaces. The class diagram source is
+// rewritten before Mermaid renders it: hidden members become a count on their
+// class, and a collapsed namespace becomes one placeholder class that takes
+// over the relations of its classes. Lines are blanked or replaced in place,
+// so the rewritten text keeps the line numbers of the source.
+
+import { parseClassSource, classKey, CLASS_STATEMENT, CSS_CLASS_STATEMENT } from './sourceMap.js';
+
+// Which members a class hides
+export const MEMBER_MODES = ['none', 'attributes', 'methods', 'all'];
+
+const hides = (mode, member) => mode === 'all' || mode === (member.method ? 'methods' : 'attributes');
+
+const count = (number, singular, plural) => `${number} ${number === 1 ? singular : plural}`;
+
+// "… 3 attributes, 2 methods" (without parentheses, so Mermaid shows it as an attribute)
+function describeHidden(attributes, methods) {
+    const parts = [];
+    if (attributes > 0) parts.push(count(attributes, 'attribute', 'attributes'));
+    if (methods > 0) parts.push(count(methods, 'method', 'methods'));
+    return `… ${parts.join(', ')}`;
+}
+
+// options: memberModes (Map class key -> mode, overriding defaultMode) and
+// collapsedNamespaces (Set of namespace names).
+// Returns {
+//   text: the source to render,
+//   members: Map class key -> { attributes, methods }, all members of each class,
+//   hiddenClasses: Set of class keys inside collapsed namespaces,
+//   placeholders: Map placeholder key -> { namespace, lines, classes },
+//   namespaces: names of all namespaces
+// }
+export function collapseClassSource(text, { memberModes = new Map(), defaultMode = 'none', collapsedNamespaces = new Set() } = {}) {
+    const source = parseClassSource(text);
+    const lines = text.split('\n');
+    const indentOf = (line) => lines[line].match(/^\s*/)[0];
+
+    // A collapsed namespace's own lines make room for its placeholder:
+    // declaration, annotation and class count (a namespace spans at least three lines)
+    const owners = new Map(); // Hidden class key -> placeholder key
+    const placeholders = new Map();
+    source.namespaces.forEach(namespace => {
+        if (!collapsedNamespaces.has(namespace.name) || namespace.classes.length === 0) return;
+        let key = namespace.name.replace(/\W/g, '_');
+        while (source.classes.has(key) || placeholders.has(key)) key += '_';
+        const indent = indentOf(namespace.start);
+        const range = [];
+        for (let line = namespace.start; line <= namespace.end; line++) {
+            range.push(line);
+            lines[line] = '';
+        }
+        lines[namespace.start] = `${indent}class ${key}`;
+        lines[namespace.start + 1] = `${indent}<<namespace>> ${key}`;
+        lines[namespace.end] = `${indent}${key} : ${count(namespace.classes.length, 'class', 'classes')}`;
+        namespace.classes.forEach(classKeyInside => owners.set(classKeyInside, key));
+        placeholders.set(key, { namespace: namespace.name, lines: range, classes: namespace.classes.slice() });
+    });
+
+    // Everything else said about the hidden classes goes as well
+    owners.forEach((placeholder, key) => {
+        (source.classes.get(key) || []).forEach(line => {
+            if (!placeholders.get(placeholder).lines.includes(line)) lines[line] = '';
+        });
+    });
+    lines.forEach((rawLine, line) => {
+        const content = rawLine.trim();
+        const statement = content.match(CLASS_STATEMENT);
+        if (statement && owners.has(classKey(statement[1]))) {
+            lines[line] = '';
+            return;
+        }
+        const cssClass = content.match(CSS_CLASS_STATEMENT);
+        if (cssClass) {
+            const names = cssClass[1].split(',').map(name => name.trim()).filter(name => !owners.has(classKey(name)));
+            lines[line] = names.length > 0 ? `${indentOf(line)}cssClass "${names.join(',')}"${cssClass[2]}` : '';
+        }
+    });
+
+    // Hidden members are replaced by their count, on the line of the first one
+    const members = new Map();
+    source.members.forEach((classMembers, key) => {
+        members.set(key, {
+            attributes: classMembers.filter(member => !member.method).length,
+            methods: classMembers.filter(member => member.method).length
+        });
+        if (owners.has(key)) return;
+        const mode = memberModes.get(key) || defaultMode;
+        const hidden = classMembers.filter(member => hides(mode, member));
+        if (hidden.length === 0) return;
+        const [first] = hidden;
+        const summary = describeHidden(hidden.filter(member => !member.method).length,
+            hidden.filter(member => member.method).length);
+        const indent = indentOf(first.line);
+        hidden.forEach(member => { lines[member.line] = ''; });
+        lines[first.line] = first.inBlock
+            ? `${indent}${summary}`
+            : `${indent}${source.names.get(key)} : ${summary}`;
+    });
+
+    // Relations leaving a collapsed namespace attach to its placeholder; those
+    // inside it, and repeats of an already rerouted relation, are dropped
+    const rerouted = new Set();
+    source.relations.forEach(relation => {
+        const sourceOwner = owners.get(relation.source);
+        const targetOwner = owners.get(relation.target);
+        if (!sourceOwner && !targetOwner) return;
+        if ((sourceOwner || relation.source) === (targetOwner || relation.target)) {
+            lines[relation.line] = '';
+            return;
+        }
+        let rewritten = lines[relation.line];
+        // The target comes later in the line, so replacing it first keeps the source's columns
+        [[targetOwner, relation.spans.target], [sourceOwner, relation.spans.source]].forEach(([owner, [start, end]]) => {
+            if (owner) rewritten = rewritten.slice(0, start) + owner + rewritten.slice(end);
+        });
+        lines[relation.line] = rerouted.has(rewritten.trim()) ? '' : rewritten;
+        rerouted.add(rewritten.trim());
+    });
+
+    return {
+        text: lines.join('\n'),
+        members,
+        hiddenClasses: new Set(owners.keys()),
+        placeholders,
+        namespaces: source.namespaces.map(namespace => namespace.name)
+    };
+}
@@ -0,0 +1,333 @@
+// Diagram type detection and per-type adapters that locate nodes, edges and
+// edge labels in Mermaid's SVG output
+
+// Keywords of the graph-like diagram types that support dragging
+const DIAGRAM_KEYWORDS = [
+    { pattern: /^classDiagram(-v2)?\b/, type: 'class' },
+    { pattern: /^(flowchart|graph)\b/, type: 'flowchart' },
+    { pattern: /^stateDiagram(-v2)?\b/, type: 'state' },
+    { pattern: /^erDiagram\b/, type: 'er' }
+];
+
+// Drop front matter, directives and comments before the diagram keyword
+function stripPreamble(definition) {
+    return definition
+        .replace(/^\s*---\n[\s\S]*?\n---\s*\n/, '')
+        .replace(/%%\{[\s\S]*?\}%%/g, '')
+        .split('\n')
+        .filter(line => !/^\s*%%/.test(line))
+        .join('\n')
+        .trim();
+}
+
+export function detectDiagramType(definition) {
+    const body = stripPreamble(definition);
+    const match = DIAGRAM_KEYWORDS.find(({ pattern }) => pattern.test(body));
+    return match ? match.type : 'readonly';
+}
+
+// First and last coordinate pair of a path's "d" attribute
+function getPathEndpoints(path) {
+    const numbers = (path.getAttribute('d') || '').match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi);
+    if (!numbers || numbers.length < 4) return null;
+    const values = numbers.map(Number);
+    return {
+        start: { x: values[0], y: values[1] },
+        end: { x: values[values.length - 2], y: values[values.length - 1] }
+    };
+}
+
+// Read a node's Mermaid id with the given pattern, falling back to the full id
+const keyFromId = (pattern) => (node) => {
+    const match = node.id.match(pattern);
+    return match ? match[1] : node.id;
+};
+
+// dagre-wrapper renderers emit paths in g.edgePaths and labels in g.edgeLabels in the same order
+function getDagreEdgeElements(svg) {
+    const edgePathsGroup = svg.querySelector('g.edgePaths');
+    const edgeLabelsGroup = svg.querySelector('g.edgeLabels');
+    return {
+        paths: edgePathsGroup ? Array.from(edgePathsGroup.querySelectorAll('path')) : [],
+        labels: edgeLabelsGroup ? Array.from(edgeLabelsGroup.querySelectorAll('g.edgeLabel')) : []
+    };
+}
+
+// Match edges to the nodes closest to their endpoints (for renderers whose
+// edge ids carry no source/target information)
+function getEdgesByGeometry(paths, labels, locateNode) {
+    return paths.map((path, index) => {
+        const endpoints = getPathEndpoints(path);
+        return {
+            edge: path,
+            source: endpoints ? locateNode(endpoints.start) : null,
+            target: endpoints ? locateNode(endpoints.end) : null,
+            label: labels[index] || null
+        };
+    });
+}
+
+// Mermaid's relation type codes (classDb.relationType) and line types
+const RELATION_TYPES = {
+    0: 'aggregation',
+    1: 'extension',
+    2: 'composition',
+    3: 'dependency',
+    4: 'lollipop'
+};
+
+const relationTypeName = (type) => RELATION_TYPES[type] || 'none';
+
+// Kind of a relation for filtering: inheritance (including realization),
+// composition, aggregation, interface (lollipop), association (solid arrow),
+// dependency (dashed arrow) or a plain link
+function relationKind(markers, lineType) {
+    if (markers.includes('extension')) return 'inheritance';
+    if (markers.includes('composition')) return 'composition';
+    if (markers.includes('aggregation')) return 'aggregation';
+    if (markers.includes('lollipop')) return 'interface';
+    if (markers.includes('dependency')) return lineType === 'dotted' ? 'dependency' : 'association';
+    return 'link';
+}
+
+const optionalText = (text) => (text && text !== 'none' ? text : '');
+
+const labelText = (label) => (label ? label.textContent.trim() : '');
+
+// Text lines of a node as rendered, one per HTML label or SVG text element
+export const getNodeLines = (node) => Array.from(node.querySelectorAll('foreignObject, text'))
+    .map(labelText)
+    .filter(Boolean);
+
+// Name and further text of a node, for screen readers: the first line names it
+function describeNodeText(node) {
+    const lines = getNodeLines(node);
+    return { name: lines[0] || this.getNodeKey(node), details: lines.slice(1) };
+}
+
+// Terminal labels (cardinalities) are inserted as g.edgeTerminals right after
+// their edge's g.edgeLabel
+function getTerminalElements(labelSlot) {
+    const terminals = [];
+    let sibling = labelSlot ? labelSlot.nextElementSibling : null;
+    while (sibling && sibling.matches('g.edgeTerminals')) {
+        terminals.push(sibling);
+        sibling = sibling.nextElementSibling;
+    }
+    return terminals;
+}
+
+// Bind the cardinality texts of a relation to its terminal label elements.
+// Mermaid's class renderer puts the source one right of the edge at its
+// start and the target one left of the edge at its end.
+function matchTerminals(elements, relation) {
+    const remaining = elements.slice();
+    const take = (text) => {
+        const index = remaining.findIndex(element => labelText(element) === text);
+        return index === -1 ? null : remaining.splice(index, 1)[0];
+    };
+    const terminals = [];
+    if (relation.sourceCardinality) {
+        const element = take(relation.sourceCardinality);
+        if (element) terminals.push({ element, end: 'start', side: 'right' });
+    }
+    if (relation.targetCardinality) {
+        const element = take(relation.targetCardinality);
+        if (element) terminals.push({ element, end: 'end', side: 'left' });
+    }
+    return terminals;
+}
+
+const describeRelation = (relation) => `${relation.source} -> ${relation.target}` +
+    (relation.title ? ` : ${relation.title}` : '');
+
+const classAdapter = {
+    type: 'class',
+    draggable: true,
+    getNodeKey: keyFromId(/^classId-(.+)-\d+$/),
+    normalize() {},
+    // Class boxes show annotations («interface»), the name, then attributes and methods
+    describeNode(node) {
+        const lines = getNodeLines(node);
+        const annotations = lines.filter(line => /^«.*»$/.test(line));
+        const [name, ...members] = lines.filter(line => !annotations.includes(line));
+        const attributes = members.filter(member => !member.includes('('));
+        const methods = members.filter(member => member.includes('('));
+        const details = annotations.map(annotation => annotation.slice(1, -1));
+        if (attributes.length > 0) details.push(`attributes: ${attributes.join(', ')}`);
+        if (methods.length > 0) details.push(`methods: ${methods.join(', ')}`);
+        return { name: name || this.getNodeKey(node), details };
+    },
+    // Edge model from the parsed class DB. The renderer numbers relations in
+    // DB order, giving each path the id "id_<source>_<target>_<n>". The key
+    // names a relation by its ends, markers, line and label instead, so it
+    // stays the same when relations are added or removed before it.
+    buildModel(db) {
+        const keyCounts = new Map();
+        return db.getRelations().map((relation, index) => {
+            const sourceMarker = relationTypeName(relation.relation.type1);
+            const targetMarker = relationTypeName(relation.relation.type2);
+            const lineType = relation.relation.lineType === 1 ? 'dotted' : 'solid';
+            const title = relation.title || '';
+            let key = `${relation.id1} ${sourceMarker}-${lineType}-${targetMarker} ${relation.id2}${title ? ` : ${title}` : ''}`;
+            const count = (keyCounts.get(key) || 0) + 1;
+            keyCounts.set(key, count);
+            if (count > 1) key += ` #${count}`;
+            return {
+                id: `id_${relation.id1}_${relation.id2}_${index + 1}`,
+                key: key,
+                source: relation.id1,
+                target: relation.id2,
+                sourceMarker: sourceMarker,
+                targetMarker: targetMarker,
+                lineType: lineType,
+                kind: relationKind([sourceMarker, targetMarker], lineType),
+                title: title,
+                sourceCardinality: optionalText(relation.relationTitle1),
+                targetCardinality: optionalText(relation.relationTitle2)
+            };
+        });
+    },
+    getEdges(svg, nodes, locateNode, model) {
+        const { paths, labels } = getDagreEdgeElements(svg);
+        const pathsById = new Map(paths.map(path => [path.id, path]));
+        const nodesByKey = new Map(nodes.map(node => [this.getNodeKey(node), node]));
+        const usedLabels = new Set();
+
+        // Paths and labels are emitted in the same order, so the label at the
+        // path's index is expected; fall back to a unique label with the same text
+        const findLabel = (path, relation) => {
+            const expected = labels[paths.indexOf(path)];
+            if (expected && !usedLabels.has(expected) && labelText(expected) === relation.title) {
+                return { label: expected };
+            }
+            if (!relation.title) {
+                return { label: null };
+            }
+            const candidates = labels.filter(label => !usedLabels.has(label) && labelText(label) === relation.title);
+            if (candidates.length === 1) {
+                return { label: candidates[0] };
+            }
+            return { label: null, warning: `Label "${relation.title}" of ${describeRelation(relation)} is ambiguous` };
+        };
+
+        return (model || []).map(relation => {
+            const edge = pathsById.get(relation.id) || null;
+            const source = nodesByKey.get(relation.source) || null;
+            const target = nodesByKey.get(relation.target) || null;
+            if (!edge || !source || !target) {
+                return {
+                    edge, source: null, target: null, label: null, relation,
+                    warning: `Could not match relation ${describeRelation(relation)} to the diagram`
+                };
+            }
+            const { label, warning } = findLabel(edge, relation);
+            if (label) {
+                usedLabels.add(label);
+            }
+            // The label Mermaid emitted for this path (empty without a title), which
+            // goes with the path when the relation is added to or removed from the SVG
+            const slot = labels[paths.indexOf(edge)] || null;
+            const terminals = matchTerminals(getTerminalElements(slot), relation);
+            return { edge, source, target, label, slot, terminals, relation, warning };
+        });
+    }
+};
+
+const flowchartAdapter = {
+    type: 'flowchart',
+    draggable: true,
+    getNodeKey: keyFromId(/^flowchart-(.+)-\d+$/),
+    normalize() {},
+    describeNode: describeNodeText,
+    buildModel: () => null,
+    getEdges(svg, nodes) {
+        const { paths, labels } = getDagreEdgeElements(svg);
+        const nodesByKey = new Map(nodes.map(node => [this.getNodeKey(node), node]));
+        // Links carry their endpoints as "LS-<source>" and "LE-<target>" classes
+        const endpointKey = (path, prefix) => {
+            const className = Array.from(path.classList).find(name => name.startsWith(prefix));
+            return className ? className.slice(prefix.length) : null;
+        };
+        return paths.map((edge, index) => ({
+            edge: edge,
+            source: nodesByKey.get(endpointKey(edge, 'LS-')) || null,
+            target: nodesByKey.get(endpointKey(edge, 'LE-')) || null,
+            label: labels[index] || null
+        }));
+    }
+};
+
+const stateAdapter = {
+    type: 'state',
+    draggable: true,
+    getNodeKey: keyFromId(/^state-(.+)-\d+$/),
+    normalize() {},
+    describeNode: describeNodeText,
+    buildModel: () => null,
+    getEdges(svg, nodes, locateNode) {
+        const { paths, labels } = getDagreEdgeElements(svg);
+        return getEdgesByGeometry(paths, labels, locateNode);
+    }
+};
+
+const erAdapter = {
+    type: 'er',
+    draggable: true,
+    getNodeKey: keyFromId(/^entity-(.+)-[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}$/),
+    // The ER renderer has its own markup: mark entities as nodes and wrap each
+    // relationship label and its background box in a group centered on the label
+    normalize(svg) {
+        svg.querySelectorAll('g[id^="entity-"]').forEach(group => {
+            group.classList.add('node');
+        });
+        svg.querySelectorAll('text.relationshipLabel').forEach(text => {
+            if (text.parentNode.classList.contains('edgeLabel')) return;
+            // The background box is inserted right before its label
+            const previous = text.previousElementSibling;
+            const box = previous && previous.matches('rect.relationshipLabelBox') ? previous : null;
+            const centerX = parseFloat(text.getAttribute('x')) || 0;
+            const centerY = parseFloat(text.getAttribute('y')) || 0;
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('class', 'edgeLabel');
+            group.setAttribute('transform', `translate(${centerX},${centerY})`);
+            text.parentNode.insertBefore(group, box || text);
+            [box, text].filter(Boolean).forEach(element => {
+                element.setAttribute('transform', `translate(${-centerX},${-centerY})`);
+                group.appendChild(element);
+            });
+        });
+    },
+    describeNode: describeNodeText,
+    buildModel: () => null,
+    getEdges(svg, nodes, locateNode) {
+        const paths = Array.from(svg.querySelectorAll('path.relationshipLine'));
+        const labels = Array.from(svg.querySelectorAll('g.edgeLabel'));
+        return getEdgesByGeometry(paths, labels, locateNode);
+    }
+};
+
+// Sequence diagrams, gantt charts, pies, ... render but cannot be rearranged
+const readonlyAdapter = {
+    type: 'readonly',
+    draggable: false,
+    getNodeKey: (node) => node.id,
+    normalize() {},
+    describeNode: describeNodeText,
+    buildModel: () => null,
+    getEdges() {
+        return [];
+    }
+};
+
+const adapters = {
+    class: classAdapter,
+    flowchart: flowchartAdapter,
+    state: stateAdapter,
+    er: erAdapter,
+    readonly: readonlyAdapter
+};
+
+export function getAdapter(type) {
+    return adapters[type] || readonlyAdapter;
+}
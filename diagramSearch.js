@@ -0,0 +1,51 @@
+// Finding nodes by their text and narrowing the view to part of the relation
+// graph (a neighborhood and/or one kind of relation). Works on plain data
+// (node keys, text lines, edge lists), not on the SVG.
+
+// Entries whose name or text contains the query, case-insensitive, in the
+// given order. entries: [{ key, name, lines }] -> [{ key, line }], where line
+// is the matching text line, or null when the name matched.
+export function findMatches(entries, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+    return entries.flatMap(entry => {
+        if (entry.name.toLowerCase().includes(needle)) {
+            return [{ key: entry.key, line: null }];
+        }
+        const line = entry.lines.find(text => text.toLowerCase().includes(needle));
+        return line ? [{ key: entry.key, line }] : [];
+    });
+}
+
+// Nodes and edges that stay visible when focusing. edges: [{ id, source,
+// target, kind }] with node keys. Relations are followed out to `hops` steps
+// from the start keys; without start keys every node that takes part in a
+// followed relation stays visible. kind limits the relations to one kind
+// (null: all). Returns { nodes: Set of keys, edges: Set of ids }.
+export function collectNeighborhood(edges, { startKeys, hops, kind }) {
+    const followed = kind ? edges.filter(edge => edge.kind === kind) : edges;
+    if (startKeys.size === 0) {
+        return {
+            nodes: new Set(followed.flatMap(edge => [edge.source, edge.target])),
+            edges: new Set(followed.map(edge => edge.id))
+        };
+    }
+
+    const nodes = new Set(startKeys);
+    let frontier = new Set(startKeys);
+    for (let hop = 0; hop < hops && frontier.size > 0; hop++) {
+        const next = new Set();
+        followed.forEach(({ source, target }) => {
+            if (frontier.has(source) && !nodes.has(target)) next.add(target);
+            if (frontier.has(target) && !nodes.has(source)) next.add(source);
+        });
+        next.forEach(key => nodes.add(key));
+        frontier = next;
+    }
+    return {
+        nodes: nodes,
+        edges: new Set(followed
+            .filter(edge => nodes.has(edge.source) && nodes.has(edge.target))
+            .map(edge => edge.id))
+    };
+}
@@ -0,0 +1,157 @@
+// Export of the rearranged diagram as standalone SVG, PNG and single-page PDF
+
+const EXPORT_PADDING = 20;
+const PDF_POINTS_PER_PIXEL = 72 / 96;
+
+// Mirrors the dark mode overrides in style.css, which do not travel with the SVG
+const darkModeCss = (svgId) => `
+#${svgId} .label { color: #f4f4f4 !important; }
+#${svgId} .node rect, #${svgId} .node circle, #${svgId} .node ellipse,
+#${svgId} .node polygon, #${svgId} .node path { fill: #444; stroke: #ccc; }
+#${svgId} .edgePath path { stroke: #ccc; }
+#${svgId} .marker { fill: #ccc; stroke: #ccc; }
+#${svgId} .cluster rect { fill: #3a3a3a !important; stroke: #aaa !important; }
+#${svgId} .cluster text { fill: #f4f4f4 !important; }
+`;
+
+// Build a clean standalone SVG from the live diagram: the pan/zoom wrapper is
+// removed and the viewBox is cropped to the content
+export function createStandaloneSvg(svg, { darkMode = false, background = '#ffffff' } = {}) {
+    const viewport = svg.querySelector('g.svg-pan-zoom_viewport');
+    // Editing aids (grid, guides) are neither measured nor exported
+    const editingAids = Array.from(svg.querySelectorAll('.grid-layer, .alignment-guides'));
+    editingAids.forEach(element => { element.style.display = 'none'; });
+    const bbox = (viewport || svg).getBBox();
+    editingAids.forEach(element => { element.style.display = ''; });
+    const x = bbox.x - EXPORT_PADDING;
+    const y = bbox.y - EXPORT_PADDING;
+    const width = Math.ceil(bbox.width + EXPORT_PADDING * 2);
+    const height = Math.ceil(bbox.height + EXPORT_PADDING * 2);
+
+    const clone = svg.cloneNode(true);
+
+    // Unwrap the svg-pan-zoom viewport group, dropping its pan/zoom transform
+    const viewportClone = clone.querySelector('g.svg-pan-zoom_viewport');
+    if (viewportClone) {
+        while (viewportClone.firstChild) {
+            viewportClone.parentNode.insertBefore(viewportClone.firstChild, viewportClone);
+        }
+        viewportClone.remove();
+    }
+    clone.querySelectorAll('#svg-pan-zoom-controls, style#svg-pan-zoom-controls-styles').forEach(el => el.remove());
+    clone.querySelectorAll('.grid-layer, .alignment-guides, .edge-hit, .collapse-toggle, .relation-handle, .relation-preview').forEach(el => el.remove());
+    clone.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+
+    clone.removeAttribute('style');
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+    clone.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+
+    // Paint the theme background behind everything
+    const backgroundRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    backgroundRect.setAttribute('x', x);
+    backgroundRect.setAttribute('y', y);
+    backgroundRect.setAttribute('width', width);
+    backgroundRect.setAttribute('height', height);
+    backgroundRect.setAttribute('fill', background);
+    clone.insertBefore(backgroundRect, clone.firstChild);
+
+    if (darkMode && clone.id) {
+        const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+        style.textContent = darkModeCss(clone.id);
+        clone.appendChild(style);
+    }
+
+    const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+    return { markup, width, height };
+}
+
+// Draw the SVG markup onto a canvas at the given scale
+export function rasterizeSvg(markup, width, height, scale, background) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.fillStyle = background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            resolve(canvas);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The browser could not load the SVG as an image'));
+        };
+        image.src = url;
+    });
+}
+
+export function canvasToBlob(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+        try {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode the image'));
+                }
+            }, mimeType, quality);
+        } catch (error) {
+            // Tainted canvases (e.g. HTML labels in some browsers) cannot be read back
+            reject(new Error(`Could not encode the image: ${error.message}`));
+        }
+    });
+}
+
+// Write a single-page PDF showing one JPEG image. The page has the size of
+// the diagram at 96 dpi, the image itself may have a higher resolution.
+export function createPdf(jpegBytes, imageWidth, imageHeight, pixelWidth, pixelHeight) {
+    const encoder = new TextEncoder();
+    const pageWidth = (pixelWidth * PDF_POINTS_PER_PIXEL).toFixed(2);
+    const pageHeight = (pixelHeight * PDF_POINTS_PER_PIXEL).toFixed(2);
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const startObject = (number) => {
+        offsets[number] = length;
+        write(`${number} 0 obj\n`);
+    };
+
+    write('%PDF-1.4\n');
+    startObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+    startObject(2);
+    write('<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+    startObject(3);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>\nendobj\n');
+    startObject(4);
+    write(`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`);
+    write(jpegBytes);
+    write('\nendstream\nendobj\n');
+    startObject(5);
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+    const xrefOffset = length;
+    write('xref\n0 6\n0000000000 65535 f \n');
+    for (let number = 1; number <= 5; number++) {
+        write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+}
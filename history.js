@@ -0,0 +1,46 @@
+// Bounded undo/redo history. A command is an object with a label and
+// undo()/redo() functions, which may return a promise (e.g. when they re-render).
+
+export function createHistory(limit = 100, onChange = () => {}) {
+    const undoStack = [];
+    const redoStack = [];
+    // Set while a command runs, so repeated shortcuts cannot interleave re-renders
+    let busy = false;
+
+    const run = async (from, to, action) => {
+        if (busy || from.length === 0) return null;
+        const command = from.pop();
+        busy = true;
+        onChange();
+        try {
+            await command[action]();
+        } finally {
+            to.push(command);
+            busy = false;
+            onChange();
+        }
+        return command;
+    };
+
+    return {
+        push(command) {
+            undoStack.push(command);
+            if (undoStack.length > limit) {
+                undoStack.shift();
+            }
+            redoStack.length = 0;
+            onChange();
+        },
+        undo: () => run(undoStack, redoStack, 'undo'),
+        redo: () => run(redoStack, undoStack, 'redo'),
+        canUndo: () => !busy && undoStack.length > 0,
+        canRedo: () => !busy && redoStack.length > 0,
+        peekUndo: () => undoStack[undoStack.length - 1] || null,
+        peekRedo: () => redoStack[redoStack.length - 1] || null,
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            onChange();
+        }
+    };
+}
@@ -0,0 +1,194 @@
+// Serialization of hand-arranged layouts, either as a JSON sidecar file
+// or embedded in the Mermaid source as "%% layout: ..." comment lines.
+
+export const LAYOUT_VERSION = 1;
+
+const EDGE_STYLES = ['curved', 'straight', 'orthogonal'];
+const KNOWN_FIELDS = ['version', 'nodes', 'edgeStyle', 'viewport', 'edges'];
+const DIRECTIVE_PATTERN = /^\s*%%\s*layout:\s?(.*)$/;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isPoint = (value) => value !== null && typeof value === 'object' &&
+    isFiniteNumber(value.x) && isFiniteNumber(value.y);
+
+// Edge points are fractions along (u) and across (v) the line between the two node centers
+const isEdgePoint = (value) => value !== null && typeof value === 'object' &&
+    isFiniteNumber(value.u) && isFiniteNumber(value.v);
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+const roundEdgePoint = (point) => ({ u: round(point.u, 4), v: round(point.v, 4) });
+
+// Manual geometry of one edge: { control?, bends?, label?: { position, offset } }
+function parseEdgeOverride(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return null;
+    const override = {};
+    if (value.control !== undefined) {
+        if (!isEdgePoint(value.control)) return null;
+        override.control = { u: value.control.u, v: value.control.v };
+    }
+    if (value.bends !== undefined) {
+        if (!Array.isArray(value.bends) || !value.bends.every(isEdgePoint)) return null;
+        override.bends = value.bends.map(point => ({ u: point.u, v: point.v }));
+    }
+    if (value.label !== undefined) {
+        const label = value.label;
+        if (!label || !isFiniteNumber(label.position) || label.position < 0 || label.position > 1 ||
+            !isFiniteNumber(label.offset)) {
+            return null;
+        }
+        override.label = { position: label.position, offset: label.offset };
+    }
+    return override;
+}
+
+// Build the versioned layout object from the viewer state
+export function createLayout(nodes, edgeStyle, viewport, edges = new Map()) {
+    const layout = {
+        version: LAYOUT_VERSION,
+        nodes: {},
+        edgeStyle: edgeStyle
+    };
+    nodes.forEach((position, key) => {
+        layout.nodes[key] = {
+            x: Math.round(position.x * 100) / 100,
+            y: Math.round(position.y * 100) / 100
+        };
+    });
+    if (viewport) {
+        layout.viewport = {
+            zoom: viewport.zoom,
+            pan: { x: viewport.pan.x, y: viewport.pan.y }
+        };
+    }
+    if (edges.size > 0) {
+        layout.edges = {};
+        edges.forEach((override, id) => {
+            const entry = {};
+            if (override.control) entry.control = roundEdgePoint(override.control);
+            if (override.bends) entry.bends = override.bends.map(roundEdgePoint);
+            if (override.label) {
+                entry.label = { position: round(override.label.position, 4), offset: round(override.label.offset, 2) };
+            }
+            layout.edges[id] = entry;
+        });
+    }
+    return layout;
+}
+
+export function serializeLayout(layout) {
+    return JSON.stringify(layout, null, 2);
+}
+
+// Validate a parsed layout. Throws for unusable input, collects problems for
+// individual entries that had to be skipped.
+export function parseLayout(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Layout is not valid JSON: ${error.message}`);
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Layout must be a JSON object');
+    }
+    if (!Number.isInteger(data.version)) {
+        throw new Error('Layout is missing its "version" field');
+    }
+    if (data.version > LAYOUT_VERSION) {
+        throw new Error(`Layout version ${data.version} is newer than the supported version ${LAYOUT_VERSION}`);
+    }
+
+    const problems = [];
+    const layout = { version: data.version, nodes: {}, edgeStyle: null, viewport: null, edges: {} };
+
+    Object.keys(data).forEach(key => {
+        if (!KNOWN_FIELDS.includes(key)) {
+            problems.push(`Unknown field "${key}"`);
+        }
+    });
+
+    if (data.nodes !== undefined) {
+        if (data.nodes === null || typeof data.nodes !== 'object' || Array.isArray(data.nodes)) {
+            problems.push('"nodes" must be an object of positions');
+        } else {
+            Object.entries(data.nodes).forEach(([key, position]) => {
+                if (isPoint(position)) {
+                    layout.nodes[key] = { x: position.x, y: position.y };
+                } else {
+                    problems.push(`Invalid position for "${key}"`);
+                }
+            });
+        }
+    }
+
+    if (data.edgeStyle !== undefined) {
+        if (EDGE_STYLES.includes(data.edgeStyle)) {
+            layout.edgeStyle = data.edgeStyle;
+        } else {
+            problems.push(`Unknown edge style "${data.edgeStyle}"`);
+        }
+    }
+
+    if (data.viewport !== undefined) {
+        const viewport = data.viewport;
+        if (viewport && isFiniteNumber(viewport.zoom) && viewport.zoom > 0 && isPoint(viewport.pan)) {
+            layout.viewport = { zoom: viewport.zoom, pan: { x: viewport.pan.x, y: viewport.pan.y } };
+        } else {
+            problems.push('Invalid viewport');
+        }
+    }
+
+    if (data.edges !== undefined) {
+        if (data.edges === null || typeof data.edges !== 'object' || Array.isArray(data.edges)) {
+            problems.push('"edges" must be an object of edge geometry');
+        } else {
+            Object.entries(data.edges).forEach(([id, value]) => {
+                const override = parseEdgeOverride(value);
+                if (override) {
+                    layout.edges[id] = override;
+                } else {
+                    problems.push(`Invalid geometry for edge "${id}"`);
+                }
+            });
+        }
+    }
+
+    return { layout, problems };
+}
+
+// Collect the payload of all "%% layout:" lines in the source (empty string if none)
+export function extractEmbeddedLayout(source) {
+    return source.split('\n')
+        .map(line => line.match(DIRECTIVE_PATTERN))
+        .filter(Boolean)
+        .map(match => match[1])
+        .join('\n');
+}
+
+// Remove all "%% layout:" lines from the source
+export function stripEmbeddedLayout(source) {
+    return source.split('\n')
+        .filter(line => !DIRECTIVE_PATTERN.test(line))
+        .join('\n');
+}
+
+// Compact JSON with one line per node, so embedded layouts stay short and diff well
+function formatLayoutLines(layout) {
+    const { nodes, ...header } = layout;
+    const headerJson = JSON.stringify(header);
+    const nodeLines = Object.entries(nodes).map(([key, position], index, entries) => {
+        const comma = index < entries.length - 1 ? ',' : '';
+        return ` ${JSON.stringify(key)}:${JSON.stringify(position)}${comma}`;
+    });
+    return [`${headerJson.slice(0, -1)},"nodes":{`, ...nodeLines, '}}'];
+}
+
+// Replace any embedded layout with the given one, appended at the end of the source
+export function embedLayout(source, layout) {
+    const stripped = stripEmbeddedLayout(source).replace(/\s+$/, '');
+    const directives = formatLayoutLines(layout)
+        .map(line => `%% layout: ${line}`)
+        .join('\n');
+    return `${stripped}\n${directives}\n`;
+}
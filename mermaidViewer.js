@@ -0,0 +1,261 @@
+// The <mermaid-viewer> element: an interactive diagram viewer (see viewer.js)
+// for any page, each element with its own state. The diagram source comes
+// from the "source" attribute or the element's text; "theme" ("light" or
+// "dark") and "edge-style" ("curved", "straight" or "orthogonal") can be
+// changed at any time. The "controls" and "editor" attributes show the
+// toolbar and the text editor, "share-links" lets the viewer open and copy
+// links to the page. Content with slot="help" is shown between the editor and
+// the diagram. The events 'rendered', 'error', 'nodemoved' and 'themechange'
+// are dispatched on the element. svg-pan-zoom must be loaded on the page.
+
+import { createViewer } from './viewer.js';
+
+const STYLESHEET_URL = new URL('./style.css', import.meta.url).href;
+
+// Element ids only have to be unique within each element's shadow root
+const TEMPLATE = `<link rel="stylesheet" href="${STYLESHEET_URL}">
+<style>
+    :host {
+        display: block;
+    }
+
+    :host(:not([controls])) .controls,
+    :host(:not([editor])) .editor {
+        display: none;
+    }
+</style>
+<div class="viewer" id="viewer">
+    <div class="controls">
+        <label for="darkModeToggle">Dark Mode</label>
+        <input type="checkbox" id="darkModeToggle">
+        <span style="margin-left: 20px;"></span> <!-- Spacer -->
+        <label for="edgeStyleSelect">Edges</label>
+        <select id="edgeStyleSelect">
+            <option value="curved" selected>Curved</option>
+            <option value="straight">Straight</option>
+            <option value="orthogonal">Orthogonal</option>
+        </select>
+        <span style="margin-left: 20px;"></span> <!-- Spacer -->
+        <button type="button" id="undoButton" disabled>Undo</button>
+        <button type="button" id="redoButton" disabled>Redo</button>
+        <span style="margin-left: 20px;"></span> <!-- Spacer -->
+        <details class="menu" id="relayoutMenu">
+            <summary>Re-layout</summary>
+            <div class="menu-items">
+                <button type="button" data-algorithm="force">Force-directed</button>
+                <button type="button" data-algorithm="layered">Layered</button>
+                <button type="button" data-algorithm="grid">Grid</button>
+            </div>
+        </details>
+        <button type="button" id="pinButton" title="Pinned nodes keep their place when re-laying out">Pin/Unpin Selection</button>
+        <details class="menu" id="alignMenu">
+            <summary>Align</summary>
+            <div class="menu-items">
+                <button type="button" data-align="left">Left</button>
+                <button type="button" data-align="center">Center</button>
+                <button type="button" data-align="right">Right</button>
+                <button type="button" data-align="top">Top</button>
+                <button type="button" data-align="middle">Middle</button>
+                <button type="button" data-align="bottom">Bottom</button>
+                <button type="button" data-distribute="horizontal">Distribute Horizontally</button>
+                <button type="button" data-distribute="vertical">Distribute Vertically</button>
+            </div>
+        </details>
+        <span style="margin-left: 20px;"></span> <!-- Spacer -->
+        <label for="snapToggle">Snap to Grid</label>
+        <input type="checkbox" id="snapToggle">
+        <input type="number" id="gridSpacingInput" value="20" min="5" max="200" step="5" title="Grid spacing">
+        <label for="guidesToggle">Smart Guides</label>
+        <input type="checkbox" id="guidesToggle" checked>
+        <label for="namespaceDropToggle" title="A class dropped on a namespace's frame moves into that namespace in the source, one dropped outside its frame moves out of it">Move Between Namespaces</label>
+        <input type="checkbox" id="namespaceDropToggle">
+        <span style="margin-left: 20px;"></span> <!-- Spacer -->
+        <button type="button" id="exportLayoutButton">Export Layout</button>
+        <button type="button" id="importLayoutButton">Import Layout</button>
+        <input type="file" id="importLayoutInput" accept=".json,application/json" hidden>
+        <button type="button" id="embedLayoutButton">Embed Layout in Source</button>
+        <button type="button" id="copyLinkButton" title="Copy a link that opens this diagram with its layout, theme and view">Copy Link</button>
+        <details class="menu" id="exportMenu">
+            <summary>Export</summary>
+            <div class="menu-items">
+                <button type="button" data-format="svg">SVG</button>
+                <button type="button" data-format="png">PNG</button>
+                <button type="button" data-format="pdf">PDF</button>
+                <label for="exportScale">Scale</label>
+                <select id="exportScale">
+                    <option value="1">1x</option>
+                    <option value="2" selected>2x</option>
+                    <option value="3">3x</option>
+                    <option value="4">4x</option>
+                </select>
+            </div>
+        </details>
+    </div>
+    <div class="controls">
+        <label for="searchInput">Find</label>
+        <input type="search" id="searchInput" placeholder="Class or member" autocomplete="off">
+        <button type="button" id="searchPrevButton" disabled>Previous</button>
+        <button type="button" id="searchNextButton" disabled>Next</button>
+        <span id="searchCount" class="search-count" aria-live="polite"></span>
+        <span style="margin-left: 20px;"></span> <!-- Spacer -->
+        <label for="focusToggle" title="Dim everything but the selected nodes and their relations">Focus on Selection</label>
+        <input type="checkbox" id="focusToggle">
+        <label for="focusHopsInput">Hops</label>
+        <input type="number" id="focusHopsInput" value="1" min="0" max="10" step="1" title="How many relations away from the selection stay visible">
+        <label for="relationFilter">Relations</label>
+        <select id="relationFilter" title="Show only one kind of relation (class diagrams)">
+            <option value="all" selected>All</option>
+            <option value="inheritance">Inheritance</option>
+            <option value="composition">Composition</option>
+            <option value="aggregation">Aggregation</option>
+            <option value="association">Association</option>
+            <option value="dependency">Dependency</option>
+            <option value="interface">Interface (lollipop)</option>
+            <option value="link">Link</option>
+        </select>
+        <span style="margin-left: 20px;"></span> <!-- Spacer -->
+        <label for="memberModeSelect">Members</label>
+        <select id="memberModeSelect" title="Members shown in every class (class diagrams)">
+            <option value="none" selected>Show All</option>
+            <option value="attributes">Hide Attributes</option>
+            <option value="methods">Hide Methods</option>
+            <option value="all">Names Only</option>
+        </select>
+        <button type="button" id="collapseNamespacesButton" disabled>Collapse Namespaces</button>
+        <button type="button" id="expandNamespacesButton" disabled>Expand Namespaces</button>
+    </div>
+    <div id="statusMessage" class="status-message" hidden></div>
+    <div id="diagramAnnouncer" class="visually-hidden" aria-live="polite"></div>
+    <p id="diagramKeyboardHelp" class="visually-hidden">Tab moves through the nodes. Arrow keys move the focused node, with Shift for larger steps. Alt and an arrow key jumps to the related node in that direction. C collapses or expands the focused class's members or namespace. Delete removes the selected classes or relation from a class diagram. Plus and minus zoom, 0 fits the diagram into view. When the diagram itself is focused, arrow keys pan.</p>
+    <div class="editor">
+        <div id="editorBackdrop" class="editor-backdrop" aria-hidden="true"></div>
+        <textarea id="mermaidInput" rows="15" wrap="off" spellcheck="false" aria-describedby="statusMessage" placeholder="Enter Mermaid diagram syntax here (classDiagram, flowchart, stateDiagram, erDiagram, ...)"></textarea>
+    </div>
+    <slot name="help"></slot>
+    <div class="diagram-area">
+        <div id="mermaidOutput" class="mermaid">
+            <!-- Mermaid diagram will be rendered here -->
+        </div>
+        <!-- Outside #mermaidOutput, which is replaced on every render -->
+        <textarea id="classEditor" class="class-editor" rows="4" wrap="off" spellcheck="false" hidden aria-label="Class name on the first line, one member per line below it" title="Class name on the first line, one member per line. Ctrl+Enter or clicking elsewhere applies, Esc cancels"></textarea>
+        <div id="relationPicker" class="relation-picker" role="menu" aria-label="Relation type" hidden>
+            <button type="button" role="menuitem" data-relation="inheritance">Inheritance</button>
+            <button type="button" role="menuitem" data-relation="composition">Composition</button>
+            <button type="button" role="menuitem" data-relation="aggregation">Aggregation</button>
+            <button type="button" role="menuitem" data-relation="association">Association</button>
+            <button type="button" role="menuitem" data-relation="dependency">Dependency</button>
+            <button type="button" role="menuitem" data-relation="realization">Realization</button>
+        </div>
+        <details class="minimap" id="minimapPanel" open>
+            <summary>Minimap</summary>
+            <canvas id="minimapCanvas" aria-label="Overview of the diagram; drag the rectangle or click to move the view"></canvas>
+        </details>
+    </div>
+</div>`;
+
+// Viewer of each connected element
+const viewers = new WeakMap();
+// Source and layout of disconnected elements, restored when they connect again
+const savedStates = new WeakMap();
+
+function getViewer(element) {
+    const viewer = viewers.get(element);
+    if (!viewer) throw new Error('The <mermaid-viewer> element is not connected to a document');
+    return viewer;
+}
+
+// Source given as the element's text (text nodes only, so slotted help is left out)
+const getInlineSource = (element) => Array.from(element.childNodes)
+    .filter(child => child.nodeType === Node.TEXT_NODE)
+    .map(child => child.textContent)
+    .join('')
+    .trim();
+
+class MermaidViewer extends HTMLElement {
+    static get observedAttributes() {
+        return ['source', 'theme', 'edge-style'];
+    }
+
+    // Every connection starts a new viewer on fresh markup, so an element that
+    // is moved keeps working
+    connectedCallback() {
+        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = TEMPLATE;
+        const saved = savedStates.get(this);
+        savedStates.delete(this);
+        const viewer = createViewer(shadow, {
+            source: saved ? saved.source : this.getAttribute('source') || getInlineSource(this) || undefined,
+            theme: this.getAttribute('theme'),
+            edgeStyle: this.getAttribute('edge-style'),
+            shareLinks: this.hasAttribute('share-links'),
+            host: this
+        });
+        viewers.set(this, viewer);
+        if (saved) viewer.setLayout(saved.layout);
+    }
+
+    disconnectedCallback() {
+        const viewer = viewers.get(this);
+        if (!viewer) return;
+        savedStates.set(this, { source: viewer.getSource(), layout: viewer.getLayout() });
+        viewer.destroy();
+        viewers.delete(this);
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        const viewer = viewers.get(this);
+        if (!viewer || !this.isConnected || oldValue === value) return;
+        if (name === 'source') {
+            viewer.setSource(value || '');
+        } else if (name === 'theme') {
+            viewer.setTheme(value);
+        } else if (name === 'edge-style') {
+            viewer.setEdgeStyle(value);
+        }
+    }
+
+    getSource() {
+        return getViewer(this).getSource();
+    }
+
+    // Resolves once the new source is rendered (or failed to, see the 'error' event)
+    setSource(source) {
+        return getViewer(this).setSource(source);
+    }
+
+    // Node positions, edge style, edge shapes and view, as in an exported layout file
+    getLayout() {
+        return getViewer(this).getLayout();
+    }
+
+    // Apply a layout (an object from getLayout or its JSON text) and render
+    setLayout(layout) {
+        return getViewer(this).setLayout(layout);
+    }
+
+    fit() {
+        getViewer(this).fit();
+    }
+
+    exportSvg() {
+        return getViewer(this).exportSvg();
+    }
+
+    getTheme() {
+        return getViewer(this).getTheme();
+    }
+
+    setTheme(theme) {
+        return getViewer(this).setTheme(theme);
+    }
+
+    getEdgeStyle() {
+        return getViewer(this).getEdgeStyle();
+    }
+
+    setEdgeStyle(style) {
+        getViewer(this).setEdgeStyle(style);
+    }
+}
+
+customElements.define('mermaid-viewer', MermaidViewer);
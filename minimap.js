@@ -0,0 +1,142 @@
+// Minimap: a simplified overview of the diagram (node boxes and edge lines)
+// on a canvas, with the visible region as a rectangle that can be dragged, or
+// clicked elsewhere, to pan the main view.
+
+// Room around the diagram inside the canvas, in CSS pixels
+const MINIMAP_PADDING = 8;
+
+const LIGHT_COLORS = {
+    edge: 'rgba(80, 80, 80, 0.6)',
+    node: '#b8c4d6',
+    dimmedNode: 'rgba(184, 196, 214, 0.3)',
+    selectedNode: '#ff9800',
+    view: '#1e88e5',
+    viewFill: 'rgba(30, 136, 229, 0.12)'
+};
+
+const DARK_COLORS = {
+    edge: 'rgba(204, 204, 204, 0.6)',
+    node: '#6d7b91',
+    dimmedNode: 'rgba(109, 123, 145, 0.3)',
+    selectedNode: '#ffb74d',
+    view: '#64b5f6',
+    viewFill: 'rgba(100, 181, 246, 0.15)'
+};
+
+// The canvas is drawn from a scene in diagram coordinates:
+//   { bounds, view: rectangles { x, y, width, height },
+//     nodes: [{ x, y, width, height, selected, dimmed }],
+//     edges: [{ d, matrix: { a, b, c, d, e, f }, dimmed }], dark }
+// onNavigate(point) is called with the diagram point the view should be centered on.
+export function createMinimap(canvas, onNavigate) {
+    let scene = null;
+    // Diagram to canvas mapping of the last drawing
+    let transform = null;
+    // Press on the minimap in progress: pointer and where in the view it grabbed it
+    let grab = null;
+
+    const toDiagram = (clientX, clientY) => {
+        const box = canvas.getBoundingClientRect();
+        return {
+            x: (clientX - box.left - transform.offsetX) / transform.scale,
+            y: (clientY - box.top - transform.offsetY) / transform.scale
+        };
+    };
+
+    function draw(nextScene) {
+        scene = nextScene;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const ratio = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        const context = canvas.getContext('2d');
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        transform = null;
+
+        const { bounds } = scene || {};
+        if (!bounds || bounds.width <= 0 || bounds.height <= 0 || width === 0 || height === 0) return;
+
+        const scale = Math.min((width - MINIMAP_PADDING * 2) / bounds.width,
+            (height - MINIMAP_PADDING * 2) / bounds.height);
+        transform = {
+            scale,
+            offsetX: (width - bounds.width * scale) / 2 - bounds.x * scale,
+            offsetY: (height - bounds.height * scale) / 2 - bounds.y * scale
+        };
+        context.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * transform.offsetX, ratio * transform.offsetY);
+        const colors = scene.dark ? DARK_COLORS : LIGHT_COLORS;
+        // Line widths are given in canvas pixels, whatever the diagram's scale
+        const pixel = 1 / scale;
+
+        const edges = new Path2D();
+        const dimmedEdges = new Path2D();
+        scene.edges.forEach(({ d, matrix, dimmed }) => {
+            (dimmed ? dimmedEdges : edges).addPath(new Path2D(d), matrix);
+        });
+        context.lineWidth = pixel;
+        context.strokeStyle = colors.edge;
+        context.globalAlpha = 0.3;
+        context.stroke(dimmedEdges);
+        context.globalAlpha = 1;
+        context.stroke(edges);
+
+        scene.nodes.forEach(node => {
+            if (node.selected) {
+                context.fillStyle = colors.selectedNode;
+            } else {
+                context.fillStyle = node.dimmed ? colors.dimmedNode : colors.node;
+            }
+            context.fillRect(node.x, node.y, node.width, node.height);
+        });
+
+        const { view } = scene;
+        context.fillStyle = colors.viewFill;
+        context.fillRect(view.x, view.y, view.width, view.height);
+        context.lineWidth = pixel * 1.5;
+        context.strokeStyle = colors.view;
+        context.strokeRect(view.x, view.y, view.width, view.height);
+    }
+
+    const insideView = (point) => {
+        const { view } = scene;
+        return point.x >= view.x && point.x <= view.x + view.width &&
+            point.y >= view.y && point.y <= view.y + view.height;
+    };
+
+    // Pressing inside the view rectangle drags it; pressing elsewhere centers
+    // the view there and keeps dragging from that point
+    canvas.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || !transform) return;
+        e.preventDefault();
+        const point = toDiagram(e.clientX, e.clientY);
+        const { view } = scene;
+        const center = { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+        grab = {
+            pointerId: e.pointerId,
+            offset: insideView(point) ? { x: point.x - center.x, y: point.y - center.y } : { x: 0, y: 0 }
+        };
+        canvas.setPointerCapture(e.pointerId);
+        canvas.classList.add('dragging');
+        onNavigate({ x: point.x - grab.offset.x, y: point.y - grab.offset.y });
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (!grab || e.pointerId !== grab.pointerId || !transform) return;
+        const point = toDiagram(e.clientX, e.clientY);
+        onNavigate({ x: point.x - grab.offset.x, y: point.y - grab.offset.y });
+    });
+
+    const release = (e) => {
+        if (!grab || e.pointerId !== grab.pointerId) return;
+        grab = null;
+        canvas.classList.remove('dragging');
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+
+    return { draw };
+}
@@ -0,0 +1,272 @@
+// Orthogonal (Manhattan) edge routing. Edges leave and enter boxes
+// perpendicular to a side, edges sharing a side get spread-out ports, and the
+// path between the ports is found with A* on a sparse grid built from the
+// obstacle outlines, so it bends around other nodes.
+//
+// Rects are { left, right, top, bottom, centerX, centerY } in diagram units.
+
+const MARGIN = 15; // Clearance kept around every node
+const BEND_PENALTY = 40; // Extra cost per bend, in diagram units
+const SEARCH_PADDING = 150; // How far around the two ends obstacles are considered
+const MIN_SEGMENT = 10; // Shortest end segment left after a port's clearance
+
+export const SIDE_NORMALS = {
+    top: { x: 0, y: -1 },
+    bottom: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+const DIRECTIONS = [
+    { x: 1, y: 0 },
+    { x: -1, y: 0 },
+    { x: 0, y: 1 },
+    { x: 0, y: -1 }
+];
+
+const directionIndex = (vector) => DIRECTIONS.findIndex(direction =>
+    direction.x === Math.sign(vector.x) && direction.y === Math.sign(vector.y));
+
+// Pick the sides an edge leaves the source and enters the target: along the
+// axis with the larger gap between the two boxes
+export function chooseSides(sourceRect, targetRect) {
+    const dx = targetRect.centerX - sourceRect.centerX;
+    const dy = targetRect.centerY - sourceRect.centerY;
+    const gapX = Math.abs(dx) - ((sourceRect.right - sourceRect.left) + (targetRect.right - targetRect.left)) / 2;
+    const gapY = Math.abs(dy) - ((sourceRect.bottom - sourceRect.top) + (targetRect.bottom - targetRect.top)) / 2;
+
+    if (gapX > gapY) {
+        return dx >= 0 ? { source: 'right', target: 'left' } : { source: 'left', target: 'right' };
+    }
+    return dy >= 0 ? { source: 'bottom', target: 'top' } : { source: 'top', target: 'bottom' };
+}
+
+// Spread the ends that share a node side evenly along it, ordered by where
+// the other end of each edge lies, so neighboring edges do not cross.
+// ends: [{ id, nodeKey, rect, side, towards: { x, y } }] -> Map id -> { x, y, side }
+export function assignPorts(ends) {
+    const groups = new Map();
+    ends.forEach(end => {
+        const groupKey = `${end.nodeKey}:${end.side}`;
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(end);
+    });
+
+    const ports = new Map();
+    groups.forEach(group => {
+        const horizontalSide = group[0].side === 'top' || group[0].side === 'bottom';
+        group.sort((a, b) => horizontalSide ? a.towards.x - b.towards.x : a.towards.y - b.towards.y);
+        group.forEach((end, index) => {
+            const fraction = (index + 1) / (group.length + 1);
+            const { rect, side } = end;
+            const port = horizontalSide
+                ? { x: rect.left + (rect.right - rect.left) * fraction, y: side === 'top' ? rect.top : rect.bottom }
+                : { x: side === 'left' ? rect.left : rect.right, y: rect.top + (rect.bottom - rect.top) * fraction };
+            ports.set(end.id, { ...port, side });
+        });
+    });
+    return ports;
+}
+
+const inflate = (rect, amount) => ({
+    left: rect.left - amount,
+    right: rect.right + amount,
+    top: rect.top - amount,
+    bottom: rect.bottom + amount
+});
+
+const strictlyInside = (point, rect) =>
+    point.x > rect.left && point.x < rect.right && point.y > rect.top && point.y < rect.bottom;
+
+// Minimal binary heap keyed by "cost"
+function createQueue() {
+    const items = [];
+    return {
+        get size() { return items.length; },
+        push(item) {
+            items.push(item);
+            let index = items.length - 1;
+            while (index > 0) {
+                const parent = (index - 1) >> 1;
+                if (items[parent].cost <= items[index].cost) break;
+                [items[parent], items[index]] = [items[index], items[parent]];
+                index = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let index = 0;
+                for (;;) {
+                    const left = index * 2 + 1;
+                    const right = left + 1;
+                    let smallest = index;
+                    if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+                    if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+                    if (smallest === index) break;
+                    [items[smallest], items[index]] = [items[index], items[smallest]];
+                    index = smallest;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+const uniqueSorted = (values) => Array.from(new Set(values.map(value => Math.round(value * 100) / 100)))
+    .sort((a, b) => a - b);
+
+// A* from one stub point to another over the grid lines through the stubs,
+// the obstacle outlines and the search boundary. startDirection/endDirection
+// are the directions of travel when leaving the source stub and when
+// entering the target.
+function findGridPath(start, startDirection, end, endDirection, obstacles, boundary) {
+    const xs = uniqueSorted([start.x, end.x, boundary.left, boundary.right,
+        ...obstacles.flatMap(rect => [rect.left, rect.right])]);
+    const ys = uniqueSorted([start.y, end.y, boundary.top, boundary.bottom,
+        ...obstacles.flatMap(rect => [rect.top, rect.bottom])]);
+    const indexX = new Map(xs.map((x, index) => [x, index]));
+    const indexY = new Map(ys.map((y, index) => [y, index]));
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const blocked = (point) => obstacles.some(rect => strictlyInside(point, rect));
+    const segmentClear = (a, b) => !blocked({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+    const startIndex = { i: indexX.get(round(start.x)), j: indexY.get(round(start.y)) };
+    const endIndex = { i: indexX.get(round(end.x)), j: indexY.get(round(end.y)) };
+    const stateKey = (i, j, direction) => (i * ys.length + j) * 4 + direction;
+    const heuristic = (i, j) => Math.abs(xs[i] - end.x) + Math.abs(ys[j] - end.y);
+
+    const queue = createQueue();
+    const best = new Map();
+    const previous = new Map();
+    const initialDirection = directionIndex(startDirection);
+    const finalDirection = directionIndex(endDirection);
+    const initialKey = stateKey(startIndex.i, startIndex.j, initialDirection);
+    best.set(initialKey, 0);
+    queue.push({ cost: heuristic(startIndex.i, startIndex.j), g: 0, i: startIndex.i, j: startIndex.j, direction: initialDirection });
+
+    while (queue.size > 0) {
+        const current = queue.pop();
+        const currentKey = stateKey(current.i, current.j, current.direction);
+        if (current.g > best.get(currentKey)) continue;
+
+        if (current.i === endIndex.i && current.j === endIndex.j) {
+            // Arriving from the wrong direction needs one more bend
+            if (current.direction !== finalDirection && current.direction !== -1) {
+                const penalized = current.g + BEND_PENALTY;
+                const finalKey = stateKey(current.i, current.j, finalDirection);
+                if (!best.has(finalKey) || penalized < best.get(finalKey)) {
+                    best.set(finalKey, penalized);
+                    previous.set(finalKey, currentKey);
+                    queue.push({ cost: penalized, g: penalized, i: current.i, j: current.j, direction: finalDirection });
+                }
+                continue;
+            }
+            // Walk back through the predecessors
+            const points = [];
+            let key = currentKey;
+            while (key !== undefined) {
+                const cell = Math.floor(key / 4);
+                const point = { x: xs[Math.floor(cell / ys.length)], y: ys[cell % ys.length] };
+                const last = points[points.length - 1];
+                if (!last || last.x !== point.x || last.y !== point.y) points.push(point);
+                key = previous.get(key);
+            }
+            return points.reverse();
+        }
+
+        DIRECTIONS.forEach((direction, directionId) => {
+            // No immediate reversals
+            if (current.direction !== -1 &&
+                DIRECTIONS[current.direction].x === -direction.x && DIRECTIONS[current.direction].y === -direction.y) {
+                return;
+            }
+            const i = current.i + direction.x;
+            const j = current.j + direction.y;
+            if (i < 0 || j < 0 || i >= xs.length || j >= ys.length) return;
+            const from = { x: xs[current.i], y: ys[current.j] };
+            const to = { x: xs[i], y: ys[j] };
+            if (blocked(to) || !segmentClear(from, to)) return;
+
+            const bend = current.direction !== -1 && current.direction !== directionId ? BEND_PENALTY : 0;
+            const g = current.g + Math.abs(to.x - from.x) + Math.abs(to.y - from.y) + bend;
+            const key = stateKey(i, j, directionId);
+            if (best.has(key) && best.get(key) <= g) return;
+            best.set(key, g);
+            previous.set(key, currentKey);
+            queue.push({ cost: g + heuristic(i, j), g, i, j, direction: directionId });
+        });
+    }
+    return null;
+}
+
+// Simple fallback when the search fails: a Z-shaped connector
+function fallbackPath(start, startDirection, end) {
+    if (startDirection.x !== 0) {
+        const midX = (start.x + end.x) / 2;
+        return [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+    }
+    const midY = (start.y + end.y) / 2;
+    return [start, { x: start.x, y: midY }, { x: end.x, y: midY }, end];
+}
+
+// Drop points that lie on a straight line between their neighbors
+export function simplifyPoints(points) {
+    return points.filter((point, index) => {
+        if (index === 0 || index === points.length - 1) return true;
+        const before = points[index - 1];
+        const after = points[index + 1];
+        return !((before.x === point.x && point.x === after.x) || (before.y === point.y && point.y === after.y));
+    });
+}
+
+// Whether an orthogonal polyline passes through the inside of a rect
+export function pathCrossesRect(points, rect) {
+    return points.some((point, index) => {
+        if (index === 0) return false;
+        const previous = points[index - 1];
+        return Math.max(point.x, previous.x) > rect.left && Math.min(point.x, previous.x) < rect.right &&
+            Math.max(point.y, previous.y) > rect.top && Math.min(point.y, previous.y) < rect.bottom;
+    });
+}
+
+// Route one edge between two ports. obstacles are the rects of all nodes
+// (including both ends). A port's optional clearance (room for a marker) makes
+// its first straight segment long enough to be trimmed by that much.
+// Returns the polyline from port to port.
+export function routeOrthogonal(startPort, endPort, obstacles) {
+    const startNormal = SIDE_NORMALS[startPort.side];
+    const endNormal = SIDE_NORMALS[endPort.side];
+    const startStub = Math.max(MARGIN, (startPort.clearance || 0) + MIN_SEGMENT);
+    const endStub = Math.max(MARGIN, (endPort.clearance || 0) + MIN_SEGMENT);
+    const stubStart = { x: startPort.x + startNormal.x * startStub, y: startPort.y + startNormal.y * startStub };
+    const stubEnd = { x: endPort.x + endNormal.x * endStub, y: endPort.y + endNormal.y * endStub };
+
+    // Only obstacles near the two ends matter, which keeps the grid small
+    const region = {
+        left: Math.min(stubStart.x, stubEnd.x) - SEARCH_PADDING,
+        right: Math.max(stubStart.x, stubEnd.x) + SEARCH_PADDING,
+        top: Math.min(stubStart.y, stubEnd.y) - SEARCH_PADDING,
+        bottom: Math.max(stubStart.y, stubEnd.y) + SEARCH_PADDING
+    };
+    const inflated = obstacles
+        .map(rect => inflate(rect, MARGIN - 1))
+        .filter(rect => rect.right > region.left && rect.left < region.right &&
+            rect.bottom > region.top && rect.top < region.bottom);
+    // The search area's border, so paths can go around clusters of obstacles
+    const boundary = inflate({
+        left: Math.min(region.left, ...inflated.map(rect => rect.left)),
+        right: Math.max(region.right, ...inflated.map(rect => rect.right)),
+        top: Math.min(region.top, ...inflated.map(rect => rect.top)),
+        bottom: Math.max(region.bottom, ...inflated.map(rect => rect.bottom))
+    }, MARGIN);
+
+    const middle = findGridPath(stubStart, startNormal, stubEnd, { x: -endNormal.x, y: -endNormal.y },
+        inflated, boundary)
+        || fallbackPath(stubStart, startNormal, stubEnd);
+
+    return simplifyPoints([{ x: startPort.x, y: startPort.y }, ...middle, { x: endPort.x, y: endPort.y }]);
+}
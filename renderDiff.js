@@ -0,0 +1,102 @@
+// Incremental re-rendering: which edits change the diagram at all, what
+// changed between two renders of a class diagram, and where the nodes of a new
+// render go so that the unchanged part stays in place.
+
+// The source as Mermaid sees it: no comments, indentation or blank lines.
+// Edits that keep the signature (e.g. "%% layout:" lines) need no new render.
+export function diagramSignature(text) {
+    return text.split('\n')
+        .map(line => line.trim())
+        // "%%{ ... }%%" directives configure the diagram and are kept
+        .filter(line => line && !(line.startsWith('%%') && !line.startsWith('%%{')))
+        .join('\n');
+}
+
+const median = (values) => {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Positions for the nodes of a new render, given the node positions of the
+// previous render and those Mermaid chose this time (Maps key -> { x, y }).
+// Nodes that were there before keep their place; new nodes move with the rest
+// of Mermaid's layout, shifted by the typical distance between Mermaid's and
+// the previous positions. Nodes in fixedKeys are placed elsewhere (stored
+// layout) and get no position. Only positions that differ from Mermaid's are
+// returned, none when the diagrams share no node.
+export function carryOverPositions(previous, next, fixedKeys = new Set()) {
+    const positions = new Map();
+    const shared = Array.from(next.keys()).filter(key => previous.has(key));
+    if (shared.length === 0) return positions;
+
+    const shift = {
+        x: median(shared.map(key => previous.get(key).x - next.get(key).x)),
+        y: median(shared.map(key => previous.get(key).y - next.get(key).y))
+    };
+    next.forEach((position, key) => {
+        if (fixedKeys.has(key)) return;
+        const carried = previous.has(key)
+            ? { ...previous.get(key) }
+            : { x: position.x + shift.x, y: position.y + shift.y };
+        if (carried.x !== position.x || carried.y !== position.y) {
+            positions.set(key, carried);
+        }
+    });
+    return positions;
+}
+
+// Markup of a rendered node without its position and Mermaid's numbered ids,
+// to tell whether a node looks the same in two renders
+export function nodeMarkup(node) {
+    const copy = node.cloneNode(true);
+    copy.removeAttribute('transform');
+    [copy, ...copy.querySelectorAll('[id]')].forEach(element => element.removeAttribute('id'));
+    return copy.outerHTML;
+}
+
+// What a rendered SVG shows besides its nodes and edges: styles (themes,
+// classDefs), markers and its accessible title and description
+export function frameMarkup(svg) {
+    const attributes = ['role', 'aria-roledescription', 'aria-labelledby', 'aria-describedby']
+        .map(name => `${name}=${svg.getAttribute(name)}`);
+    const parts = Array.from(svg.querySelectorAll('style, marker, :scope > title, :scope > desc'), element => element.outerHTML);
+    return [...attributes, ...parts].join('\n');
+}
+
+// Nodes of two renders (Maps key -> markup, see nodeMarkup): the keys that
+// were added or removed, and those whose markup changed
+export function diffNodes(previous, next) {
+    const added = [];
+    const changed = [];
+    next.forEach((markup, key) => {
+        if (!previous.has(key)) {
+            added.push(key);
+        } else if (previous.get(key) !== markup) {
+            changed.push(key);
+        }
+    });
+    const removed = Array.from(previous.keys()).filter(key => !next.has(key));
+    return { added, removed, changed };
+}
+
+// Relations of two parses of a class diagram, matched by key (see the class
+// adapter's buildModel). A relation whose multiplicities changed is removed
+// and added again. Returns { added, removed, kept: [[previous, next]] }.
+export function diffRelations(previous, next) {
+    const previousByKey = new Map(previous.map(relation => [relation.key, relation]));
+    const added = [];
+    const kept = [];
+    next.forEach(relation => {
+        const match = previousByKey.get(relation.key);
+        if (match && match.sourceCardinality === relation.sourceCardinality &&
+            match.targetCardinality === relation.targetCardinality) {
+            kept.push([match, relation]);
+        } else {
+            added.push(relation);
+        }
+    });
+    const keptRelations = new Set(kept.map(([match]) => match));
+    const removed = previous.filter(relation => !keptRelations.has(relation));
+    return { added, removed, kept };
+}
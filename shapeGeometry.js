@@ -0,0 +1,320 @@
+// Node outlines and marker sizes, so edges attach to the shape that is
+// actually drawn (rounded rect, circle, ellipse, diamond, path) instead of the
+// node's bounding box, and arrowheads end exactly on that outline.
+//
+// Shapes are described in the node's own coordinates (before its translate):
+//   { type: 'rect', left, top, right, bottom, rx, ry }
+//   { type: 'ellipse', cx, cy, rx, ry }
+//   { type: 'polygon', points: [{ x, y }, ...] }
+
+const OUTLINE_SELECTOR = 'rect, circle, ellipse, polygon, path';
+const CURVE_SAMPLES = 48; // Points used to approximate paths and transformed ellipses
+const EPSILON = 1e-6;
+
+const attribute = (element, name, fallback = 0) => {
+    const value = parseFloat(element.getAttribute(name));
+    return Number.isFinite(value) ? value : fallback;
+};
+
+// Read the outline of a node: its largest shape element that is not part of a
+// label, mapped into the node's coordinates. Null if the node has none.
+export function readNodeShape(node) {
+    const nodeMatrix = node.getCTM();
+    if (!nodeMatrix) return null;
+
+    let outline = null;
+    let largestArea = 0;
+    node.querySelectorAll(OUTLINE_SELECTOR).forEach(element => {
+        if (element.closest('.label, foreignObject')) return;
+        const box = element.getBBox();
+        const area = box.width * box.height;
+        if (area > largestArea) {
+            largestArea = area;
+            outline = element;
+        }
+    });
+    if (!outline) return null;
+
+    const elementMatrix = outline.getCTM();
+    if (!elementMatrix) return null;
+    return describeShape(outline, nodeMatrix.inverse().multiply(elementMatrix));
+}
+
+function describeShape(element, matrix) {
+    const apply = (x, y) => ({
+        x: matrix.a * x + matrix.c * y + matrix.e,
+        y: matrix.b * x + matrix.d * y + matrix.f
+    });
+    // Rotated or skewed shapes are approximated by polygons
+    const axisAligned = Math.abs(matrix.b) < EPSILON && Math.abs(matrix.c) < EPSILON;
+
+    switch (element.tagName.toLowerCase()) {
+        case 'rect': {
+            const x = attribute(element, 'x');
+            const y = attribute(element, 'y');
+            const width = attribute(element, 'width');
+            const height = attribute(element, 'height');
+            if (!axisAligned) {
+                return { type: 'polygon', points: [apply(x, y), apply(x + width, y), apply(x + width, y + height), apply(x, y + height)] };
+            }
+            // A missing rx/ry takes the other one's value, as in SVG
+            let rx = attribute(element, 'rx', NaN);
+            let ry = attribute(element, 'ry', NaN);
+            if (Number.isNaN(rx)) rx = Number.isNaN(ry) ? 0 : ry;
+            if (Number.isNaN(ry)) ry = rx;
+            const corner1 = apply(x, y);
+            const corner2 = apply(x + width, y + height);
+            return {
+                type: 'rect',
+                left: Math.min(corner1.x, corner2.x),
+                top: Math.min(corner1.y, corner2.y),
+                right: Math.max(corner1.x, corner2.x),
+                bottom: Math.max(corner1.y, corner2.y),
+                rx: Math.min(Math.abs(rx * matrix.a), Math.abs(width * matrix.a) / 2),
+                ry: Math.min(Math.abs(ry * matrix.d), Math.abs(height * matrix.d) / 2)
+            };
+        }
+        case 'circle':
+        case 'ellipse': {
+            const isCircle = element.tagName.toLowerCase() === 'circle';
+            const cx = attribute(element, 'cx');
+            const cy = attribute(element, 'cy');
+            const rx = isCircle ? attribute(element, 'r') : attribute(element, 'rx');
+            const ry = isCircle ? rx : attribute(element, 'ry');
+            if (!axisAligned) {
+                const points = [];
+                for (let index = 0; index < CURVE_SAMPLES; index++) {
+                    const angle = (index / CURVE_SAMPLES) * Math.PI * 2;
+                    points.push(apply(cx + Math.cos(angle) * rx, cy + Math.sin(angle) * ry));
+                }
+                return { type: 'polygon', points };
+            }
+            const center = apply(cx, cy);
+            return { type: 'ellipse', cx: center.x, cy: center.y, rx: Math.abs(rx * matrix.a), ry: Math.abs(ry * matrix.d) };
+        }
+        case 'polygon': {
+            const points = Array.from(element.points, point => apply(point.x, point.y));
+            return points.length >= 3 ? { type: 'polygon', points } : null;
+        }
+        case 'path': {
+            const length = element.getTotalLength();
+            if (!(length > 0)) return null;
+            const points = [];
+            for (let index = 0; index < CURVE_SAMPLES; index++) {
+                const point = element.getPointAtLength((index / CURVE_SAMPLES) * length);
+                points.push(apply(point.x, point.y));
+            }
+            return { type: 'polygon', points };
+        }
+        default:
+            return null;
+    }
+}
+
+// Smallest ray parameter > 0 where from + t * direction crosses segment a-b
+function raySegment(from, direction, a, b) {
+    const edgeX = b.x - a.x;
+    const edgeY = b.y - a.y;
+    const denominator = direction.x * edgeY - direction.y * edgeX;
+    if (Math.abs(denominator) < EPSILON) return null;
+    const offsetX = a.x - from.x;
+    const offsetY = a.y - from.y;
+    const t = (offsetX * edgeY - offsetY * edgeX) / denominator;
+    const u = (offsetX * direction.y - offsetY * direction.x) / denominator;
+    return t > EPSILON && u >= -EPSILON && u <= 1 + EPSILON ? t : null;
+}
+
+function rayPolygon(from, direction, points) {
+    let closest = null;
+    points.forEach((point, index) => {
+        const t = raySegment(from, direction, point, points[(index + 1) % points.length]);
+        if (t !== null && (closest === null || t < closest)) closest = t;
+    });
+    return closest;
+}
+
+// Ray parameters where the ray crosses an ellipse, in increasing order
+function rayEllipseRoots(from, direction, cx, cy, rx, ry) {
+    if (rx <= 0 || ry <= 0) return [];
+    const px = (from.x - cx) / rx;
+    const py = (from.y - cy) / ry;
+    const dx = direction.x / rx;
+    const dy = direction.y / ry;
+    const a = dx * dx + dy * dy;
+    const b = 2 * (px * dx + py * dy);
+    const c = px * px + py * py - 1;
+    const discriminant = b * b - 4 * a * c;
+    if (a === 0 || discriminant < 0) return [];
+    const root = Math.sqrt(discriminant);
+    return [(-b - root) / (2 * a), (-b + root) / (2 * a)];
+}
+
+function rayRect(from, direction, shape) {
+    const { left, top, right, bottom, rx, ry } = shape;
+    const t = rayPolygon(from, direction, [
+        { x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }
+    ]);
+    if (t === null || rx <= 0 || ry <= 0) return t;
+
+    // A hit inside a corner square leaves through that corner's arc instead
+    const hitX = from.x + direction.x * t;
+    const hitY = from.y + direction.y * t;
+    const cornerX = hitX < left + rx ? left + rx : hitX > right - rx ? right - rx : null;
+    const cornerY = hitY < top + ry ? top + ry : hitY > bottom - ry ? bottom - ry : null;
+    if (cornerX === null || cornerY === null) return t;
+    const roots = rayEllipseRoots(from, direction, cornerX, cornerY, rx, ry).filter(root => root > EPSILON);
+    return roots.length > 0 ? roots[roots.length - 1] : t;
+}
+
+// Where the ray from `from` towards `to` crosses the outline of a shape that
+// is translated by `offset`: the exit point for rays starting inside, the
+// entry point otherwise. Null if the ray misses the shape.
+export function intersectShape(shape, offset, from, to) {
+    const start = { x: from.x - offset.x, y: from.y - offset.y };
+    const direction = { x: to.x - from.x, y: to.y - from.y };
+    if (direction.x === 0 && direction.y === 0) return null;
+
+    let t = null;
+    if (shape.type === 'rect') {
+        t = rayRect(start, direction, shape);
+    } else if (shape.type === 'ellipse') {
+        const roots = rayEllipseRoots(start, direction, shape.cx, shape.cy, shape.rx, shape.ry).filter(root => root > EPSILON);
+        t = roots.length > 0 ? roots[0] : null;
+    } else if (shape.type === 'polygon') {
+        t = rayPolygon(start, direction, shape.points);
+    }
+    if (t === null) return null;
+    return { x: from.x + direction.x * t, y: from.y + direction.y * t };
+}
+
+// Horizontal extent of a marker's drawing in marker units, read from the
+// geometry attributes (marker content is not rendered, so getBBox is unreliable)
+function markerContentExtent(marker) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    const include = (x) => {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+    };
+    marker.querySelectorAll('path, polygon, polyline, circle, ellipse, rect, line').forEach(element => {
+        switch (element.tagName.toLowerCase()) {
+            case 'circle':
+                include(attribute(element, 'cx') - attribute(element, 'r'));
+                include(attribute(element, 'cx') + attribute(element, 'r'));
+                break;
+            case 'ellipse':
+                include(attribute(element, 'cx') - attribute(element, 'rx'));
+                include(attribute(element, 'cx') + attribute(element, 'rx'));
+                break;
+            case 'rect':
+                include(attribute(element, 'x'));
+                include(attribute(element, 'x') + attribute(element, 'width'));
+                break;
+            case 'line':
+                include(attribute(element, 'x1'));
+                include(attribute(element, 'x2'));
+                break;
+            case 'polygon':
+            case 'polyline':
+                Array.from(element.points).forEach(point => include(point.x));
+                break;
+            default:
+                pathXCoordinates(element.getAttribute('d') || '').forEach(include);
+        }
+    });
+    return minX <= maxX ? { minX, maxX } : null;
+}
+
+// x coordinates of all end and control points of a path (enough for extents)
+function pathXCoordinates(d) {
+    const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const parameterCounts = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+    const xs = [];
+    let command = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let index = 0;
+    while (index < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[index])) {
+            command = tokens[index++];
+        }
+        if (!command) break;
+        const lower = command.toLowerCase();
+        if (lower === 'z') {
+            x = startX;
+            y = startY;
+            command = null;
+            continue;
+        }
+        const count = parameterCounts[lower];
+        if (count === undefined) break;
+        const values = tokens.slice(index, index + count).map(Number);
+        if (values.length < count || values.some(Number.isNaN)) break;
+        index += count;
+        const relative = command !== command.toUpperCase();
+        const baseX = relative ? x : 0;
+        const baseY = relative ? y : 0;
+
+        if (lower === 'h') {
+            x = baseX + values[0];
+        } else if (lower === 'v') {
+            y = baseY + values[0];
+        } else if (lower === 'a') {
+            x = baseX + values[5];
+            y = baseY + values[6];
+        } else {
+            // Control points count towards the extent as well
+            for (let pair = 0; pair < count - 2; pair += 2) {
+                xs.push(baseX + values[pair]);
+            }
+            x = baseX + values[count - 2];
+            y = baseY + values[count - 1];
+        }
+        xs.push(x);
+        if (lower === 'm') {
+            startX = x;
+            startY = y;
+            // Further pairs after a moveto are linetos
+            command = relative ? 'l' : 'L';
+        }
+    }
+    return xs;
+}
+
+// How far the marker at one end ('start' or 'end') of a path reaches past
+// that end, in the path's units. The path has to stop this far before the
+// node outline for the arrowhead to touch it. Null without a readable marker.
+export function getMarkerExtent(path, end) {
+    const reference = path.getAttribute(end === 'start' ? 'marker-start' : 'marker-end');
+    const match = reference && reference.match(/url\(\s*['"]?#([^'")]+)['"]?\s*\)/);
+    if (!match) return null;
+    // Look in the path's own tree, which is a shadow root inside <mermaid-viewer>
+    const root = path.getRootNode();
+    const marker = root.getElementById ? root.getElementById(match[1]) : null;
+    if (!marker) return null;
+    const extent = markerContentExtent(marker);
+    if (!extent) return null;
+
+    let scale = 1;
+    const viewBox = marker.getAttribute('viewBox');
+    if (viewBox) {
+        const [, , viewWidth, viewHeight] = viewBox.split(/[\s,]+/).map(Number);
+        if (viewWidth > 0 && viewHeight > 0) {
+            scale = Math.min(attribute(marker, 'markerWidth', 3) / viewWidth,
+                attribute(marker, 'markerHeight', 3) / viewHeight);
+        }
+    }
+    if (marker.getAttribute('markerUnits') !== 'userSpaceOnUse') {
+        const strokeWidth = parseFloat(getComputedStyle(path).strokeWidth);
+        scale *= Number.isFinite(strokeWidth) && strokeWidth > 0 ? strokeWidth : 1;
+    }
+
+    // With orient="auto" the marker's x axis follows the path direction, so a
+    // start marker reaches back from refX and an end marker forward from it
+    const refX = attribute(marker, 'refX');
+    const reversed = end === 'start' && marker.getAttribute('orient') !== 'auto-start-reverse';
+    const reach = reversed ? refX - extent.minX : extent.maxX - refX;
+    return Math.max(0, reach * scale);
+}
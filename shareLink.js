@@ -0,0 +1,103 @@
+// Shareable links: the diagram source, its layout (positions, edge style and
+// geometry, pan/zoom) and the theme, compressed into the URL fragment
+// ("#share=..."), so opening the link restores the view without any server.
+
+import { parseLayout } from './layoutFile.js';
+
+export const SHARE_VERSION = 1;
+const FRAGMENT_PREFIX = '#share=';
+// Payload formats: deflate-compressed JSON, or plain JSON where the browser cannot compress
+const COMPRESSED = 'z';
+const PLAIN = 'j';
+
+// Links longer than this may be cut off by chat tools and some browsers
+export const LINK_WARNING_LENGTH = 4000;
+// Links longer than this are not created; the layout has to be shared as text instead
+export const LINK_MAX_LENGTH = 100000;
+
+export const hasShareFragment = (hash) => hash.startsWith(FRAGMENT_PREFIX);
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function pipeBytes(bytes, stream) {
+    const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    // Chunked, since spreading a large array into fromCharCode overflows the stack
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+    return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+// Build the URL fragment for a diagram. theme is 'light' or 'dark', layout
+// comes from createLayout().
+export async function createShareFragment({ source, layout, theme }) {
+    const json = JSON.stringify({ version: SHARE_VERSION, source, theme, layout });
+    const bytes = new TextEncoder().encode(json);
+    if (typeof CompressionStream === 'function') {
+        return `${FRAGMENT_PREFIX}${COMPRESSED}${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+    }
+    return `${FRAGMENT_PREFIX}${PLAIN}${toBase64Url(bytes)}`;
+}
+
+// Decode a "#share=..." fragment. Throws with a readable message for links
+// that are malformed or were cut off; layout problems are collected instead.
+export async function readShareFragment(hash) {
+    const body = hash.slice(FRAGMENT_PREFIX.length);
+    const format = body.charAt(0);
+    if (format !== COMPRESSED && format !== PLAIN) {
+        throw new Error('The link is not a diagram link of this viewer');
+    }
+
+    let bytes;
+    try {
+        bytes = fromBase64Url(body.slice(1));
+    } catch (error) {
+        throw new Error('The link data is damaged');
+    }
+    if (format === COMPRESSED) {
+        if (typeof DecompressionStream !== 'function') {
+            throw new Error('This browser cannot open compressed links');
+        }
+        try {
+            bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        } catch (error) {
+            throw new Error('The link data is incomplete or damaged (was the link cut off?)');
+        }
+    }
+
+    let data;
+    try {
+        data = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error('The link data is not valid');
+    }
+    if (data === null || typeof data !== 'object' || !Number.isInteger(data.version)) {
+        throw new Error('The link data is not valid');
+    }
+    if (data.version > SHARE_VERSION) {
+        throw new Error('The link was made by a newer version of the viewer');
+    }
+    if (typeof data.source !== 'string') {
+        throw new Error('The link contains no diagram');
+    }
+
+    const { layout, problems } = data.layout
+        ? parseLayout(JSON.stringify(data.layout))
+        : { layout: null, problems: [] };
+    return {
+        source: data.source,
+        theme: data.theme === 'dark' ? 'dark' : 'light',
+        layout,
+        problems
+    };
+}
@@ -0,0 +1,287 @@
+// Changes to the class diagram source made from the diagram itself. Each one
+// touches only the lines it has to; comments, blank lines and the formatting
+// of everything else stay as they were.
+
+import { parseClassSource, classKey, CLASS_NAME, CLASS_STATEMENT, CSS_CLASS_STATEMENT } from './sourceMap.js';
+
+const INDENT_STEP = '    ';
+
+// Arrow of each relation type, drawn from the first class to the second
+const RELATION_ARROWS = {
+    inheritance: '--|>',
+    composition: '--*',
+    aggregation: '--o',
+    association: '-->',
+    dependency: '..>',
+    realization: '..|>'
+};
+
+// Lines that name a class at their start (after a prefix kept as it is)
+const NAMED_STATEMENTS = [
+    new RegExp(`^(\\s*class\\s+)(${CLASS_NAME})`),
+    new RegExp(`^(\\s*)(${CLASS_NAME})(?=\\s*:(?!::))`),
+    new RegExp(`^(\\s*<<[^>]*>>\\s*)(${CLASS_NAME})(?=\\s*$)`),
+    new RegExp(`^(\\s*(?:note\\s+for|style|click|link|callback)\\s+)(${CLASS_NAME})`)
+];
+const PLAIN_DECLARATION = new RegExp(`^class\\s+(${CLASS_NAME})\\s*$`);
+
+const indentOf = (line) => line.match(/^\s*/)[0];
+
+const isComment = (line) => /^\s*%%/.test(line);
+
+const isInside = (namespace, line) => line > namespace.start && line < namespace.end;
+
+// The lines with the given ones removed and new lines inserted before
+// others (insertions: Map line index -> [lines], lines.length appends)
+function rebuild(lines, removed, insertions = new Map()) {
+    const result = [];
+    lines.forEach((line, index) => {
+        if (insertions.has(index)) result.push(...insertions.get(index));
+        if (!removed.has(index)) result.push(line);
+    });
+    if (insertions.has(lines.length)) result.push(...insertions.get(lines.length));
+    return result.join('\n');
+}
+
+// The last statement, which new statements follow (trailing comments such as
+// an embedded layout stay at the end)
+function findLastStatement(lines) {
+    let line = lines.length - 1;
+    while (line > 0 && (!lines[line].trim() || isComment(lines[line]))) line--;
+    return line;
+}
+
+// Indentation of the statements below the "classDiagram" line
+function getStatementIndent(lines) {
+    const content = lines.map((line, index) => index).filter(index => lines[index].trim() && !isComment(lines[index]));
+    return content.length > 1 ? indentOf(lines[content[1]]) : INDENT_STEP;
+}
+
+// A class name with another name, keeping backticks and generics
+const replaceName = (written, name) => (written.startsWith('`')
+    ? `\`${name}\``
+    : name + (written.match(/~.*$/) || [''])[0]);
+
+// A cssClass line with each class name passed through rename (null drops the
+// name); null when no name is left
+function rewriteCssClass(line, rename) {
+    const match = line.trim().match(CSS_CLASS_STATEMENT);
+    if (!match) return line;
+    const names = match[1].split(',').map(name => name.trim()).map(rename).filter(name => name !== null);
+    return names.length > 0 ? `${indentOf(line)}cssClass "${names.join(',')}"${match[2]}` : null;
+}
+
+// Move a class into the named namespace, or out of its namespace with a null
+// name. Its "class" statements move along (re-indented); a class without one
+// gets a "class Name" line. A namespace left without classes is removed,
+// since Mermaid draws no empty namespaces. Returns the text unchanged when the
+// class is already there or the namespace does not exist.
+export function moveClassToNamespace(text, key, namespaceName) {
+    const source = parseClassSource(text);
+    const current = source.namespaces.find(namespace => namespace.classes.includes(key)) || null;
+    const target = namespaceName === null ? null : source.namespaces.find(namespace => namespace.name === namespaceName);
+    if (target === undefined || current === target) return text;
+
+    const lines = text.split('\n');
+    // The declarations that place the class where it is now
+    const declarations = (source.declarations.get(key) || []).filter(({ start }) => current
+        ? isInside(current, start)
+        : !source.namespaces.some(namespace => isInside(namespace, start)));
+    const movedLines = new Set();
+    declarations.forEach(({ start, end }) => {
+        for (let line = start; line <= end; line++) movedLines.add(line);
+    });
+
+    // Indentation inside the target namespace (that of its first class), or that of the namespace left
+    let indent;
+    if (target) {
+        const inner = lines.slice(target.start + 1, target.end).find(line => line.trim());
+        indent = inner ? indentOf(inner) : indentOf(lines[target.start]) + INDENT_STEP;
+    } else {
+        indent = indentOf(lines[current.start]);
+    }
+    let block;
+    if (declarations.length > 0) {
+        const oldIndent = indentOf(lines[declarations[0].start]);
+        block = Array.from(movedLines).sort((a, b) => a - b).map(line => lines[line].startsWith(oldIndent)
+            ? indent + lines[line].slice(oldIndent.length)
+            : indent + lines[line].trimStart());
+    } else {
+        block = [`${indent}class ${source.names.get(key) || key}`];
+    }
+
+    const removedNamespace = current && current.classes.length === 1 ? current : null;
+    const result = [];
+    lines.forEach((line, index) => {
+        if (target && index === target.end) result.push(...block);
+        const removed = movedLines.has(index) ||
+            (removedNamespace && (index === removedNamespace.start || index === removedNamespace.end));
+        if (!removed) result.push(line);
+        if (!target && index === current.end) result.push(...block);
+    });
+    return result.join('\n');
+}
+
+// All class names used in the source, declared or only named in relations
+function getClassKeys(source) {
+    const keys = new Set(source.classes.keys());
+    source.relations.forEach(relation => {
+        keys.add(relation.source);
+        keys.add(relation.target);
+    });
+    return keys;
+}
+
+// A class name not used in the source yet: base, or base with a number
+export function getUnusedClassName(text, base) {
+    const keys = getClassKeys(parseClassSource(text));
+    let name = base;
+    for (let number = 2; keys.has(name); number++) name = `${base}${number}`;
+    return name;
+}
+
+// Add "class Name" after the last statement
+export function addClass(text, name) {
+    const lines = text.split('\n');
+    return rebuild(lines, new Set(), new Map([[findLastStatement(lines) + 1, [`${getStatementIndent(lines)}class ${name}`]]]));
+}
+
+// Give a class another name wherever the source names it: its declarations,
+// member and annotation lines, relations, notes, styles and cssClass lists
+export function renameClass(text, key, name) {
+    const source = parseClassSource(text);
+    const lines = text.split('\n');
+    // Members inside class blocks are left alone, whatever they look like
+    const blockLines = new Set();
+    source.declarations.forEach(declarations => declarations.forEach(({ start, end }) => {
+        for (let line = start + 1; line <= end; line++) blockLines.add(line);
+    }));
+
+    const relationLines = new Set();
+    source.relations.forEach(relation => {
+        relationLines.add(relation.line);
+        let rewritten = lines[relation.line];
+        // The target comes later in the line, so replacing it first keeps the source's columns
+        [[relation.target, relation.spans.target], [relation.source, relation.spans.source]].forEach(([end, [start, stop]]) => {
+            if (end === key) rewritten = rewritten.slice(0, start) + replaceName(rewritten.slice(start, stop), name) + rewritten.slice(stop);
+        });
+        lines[relation.line] = rewritten;
+    });
+
+    lines.forEach((line, index) => {
+        if (blockLines.has(index) || relationLines.has(index) || isComment(line)) return;
+        for (const pattern of NAMED_STATEMENTS) {
+            const match = line.match(pattern);
+            if (match) {
+                if (classKey(match[2]) === key) {
+                    lines[index] = match[1] + replaceName(match[2], name) + line.slice(match[0].length);
+                }
+                return;
+            }
+        }
+        const rewritten = rewriteCssClass(line, written => (classKey(written) === key ? replaceName(written, name) : written));
+        lines[index] = rewritten;
+    });
+    return lines.join('\n');
+}
+
+// Set the members of a class (their text, e.g. "+int id" or "+area() double").
+// Members keep their lines: changed ones are rewritten in place, missing ones
+// removed and new ones added after the last, in the same form. The first
+// members of a class go into its block; a plain "class Name" gets one.
+export function setClassMembers(text, key, members) {
+    const source = parseClassSource(text);
+    const lines = text.split('\n');
+    const current = source.members.get(key) || [];
+    // What comes before a member's text on its line: indentation, or "Name : "
+    const prefixOf = (member) => {
+        const line = lines[member.line].trimEnd();
+        return member.text ? line.slice(0, line.length - member.text.length) : `${line} `;
+    };
+
+    const removed = new Set();
+    const insertions = new Map();
+    current.forEach((member, index) => {
+        if (index >= members.length) {
+            removed.add(member.line);
+        } else if (member.text !== members[index]) {
+            lines[member.line] = prefixOf(member) + members[index];
+        }
+    });
+    const added = members.slice(current.length);
+    if (added.length === 0) return rebuild(lines, removed);
+
+    const declarations = source.declarations.get(key) || [];
+    const block = declarations.find(({ start, end }) => end > start);
+    const plain = declarations.find(({ start }) => PLAIN_DECLARATION.test(lines[start].trim()));
+    if (current.length > 0) {
+        const last = current[current.length - 1];
+        insertions.set(last.line + 1, added.map(member => prefixOf(last) + member));
+    } else if (block) {
+        const inner = lines.slice(block.start + 1, block.end).find(line => line.trim());
+        const indent = inner ? indentOf(inner) : indentOf(lines[block.start]) + INDENT_STEP;
+        insertions.set(block.end, added.map(member => indent + member));
+    } else if (plain) {
+        const indent = indentOf(lines[plain.start]);
+        lines[plain.start] = `${lines[plain.start].trimEnd()} {`;
+        insertions.set(plain.start + 1, [...added.map(member => indent + INDENT_STEP + member), `${indent}}`]);
+    } else {
+        // Declared with a label or style (or not at all): member statements after its last line
+        const name = source.names.get(key) || key;
+        const classLines = source.classes.get(key) || [];
+        const after = classLines.length > 0 ? Math.max(...classLines) : findLastStatement(lines);
+        const indent = classLines.length > 0 ? indentOf(lines[after]) : getStatementIndent(lines);
+        insertions.set(after + 1, added.map(member => `${indent}${name} : ${member}`));
+    }
+    return rebuild(lines, removed, insertions);
+}
+
+// Add a relation of the given type (inheritance, composition, ...) from one
+// class to another, after the last relation
+export function addRelation(text, sourceKey, targetKey, type) {
+    const source = parseClassSource(text);
+    const lines = text.split('\n');
+    const nameOf = (key) => source.names.get(key) || key;
+    const last = source.relations[source.relations.length - 1];
+    const after = last ? last.line : findLastStatement(lines);
+    const indent = last ? indentOf(lines[last.line]) : getStatementIndent(lines);
+    const relation = `${indent}${nameOf(sourceKey)} ${RELATION_ARROWS[type]} ${nameOf(targetKey)}`;
+    return rebuild(lines, new Set(), new Map([[after + 1, [relation]]]));
+}
+
+// Remove the relation declared on a line (the text is unchanged when there is none)
+export function removeRelation(text, line) {
+    if (!parseClassSource(text).relations.some(relation => relation.line === line)) return text;
+    return rebuild(text.split('\n'), new Set([line]));
+}
+
+// Remove a class with everything said about it: its declarations and members,
+// its relations, notes and styles. A namespace left without classes goes too.
+export function removeClass(text, key) {
+    const source = parseClassSource(text);
+    const lines = text.split('\n');
+    const removed = new Set(source.classes.get(key) || []);
+    source.relations.forEach(relation => {
+        if (relation.source === key || relation.target === key) removed.add(relation.line);
+    });
+    lines.forEach((line, index) => {
+        const statement = line.trim().match(CLASS_STATEMENT);
+        if (statement && classKey(statement[1]) === key) {
+            removed.add(index);
+            return;
+        }
+        const rewritten = rewriteCssClass(line, written => (classKey(written) === key ? null : written));
+        if (rewritten === null) {
+            removed.add(index);
+        } else {
+            lines[index] = rewritten;
+        }
+    });
+    source.namespaces.forEach(namespace => {
+        if (namespace.classes.length > 0 && namespace.classes.every(classInside => classInside === key)) {
+            removed.add(namespace.start);
+            removed.add(namespace.end);
+        }
+    });
+    return rebuild(lines, removed);
+}
@@ -0,0 +1,173 @@
+// Where nodes and relations are declared in the diagram source, for linking
+// the text editor with the rendered diagram, and where Mermaid's parse errors
+// point to. Lines and columns are 0-based.
+
+// Class names, optionally in backticks, with generics (List~int~)
+export const CLASS_NAME = '`[^`]+`|[\\w.~]+';
+const CLASS_DECLARATION = new RegExp(`^class\\s+(${CLASS_NAME})`);
+const CLASS_MEMBER = new RegExp(`^(${CLASS_NAME})\\s*:(?!::)`);
+const CLASS_ANNOTATION = new RegExp(`^<<[^>]*>>\\s*(${CLASS_NAME})\\s*$`);
+// source ["cardinality"] marker line marker ["cardinality"] target [: label]
+const CLASS_RELATION = new RegExp(`^(${CLASS_NAME})\\s*(?:"[^"]*"\\s*)?` +
+    '(?:<\\||\\*|o|<|\\(\\))?(?:--|\\.\\.)(?:\\|>|\\*|o|>|\\(\\))?' +
+    `\\s*(?:"[^"]*"\\s*)?(${CLASS_NAME})\\s*(?::.*)?$`, 'd');
+const NAMESPACE = /^namespace\s+([\w.]+)\s*\{/;
+// Statements that only concern one class, and cssClass lists of classes
+export const CLASS_STATEMENT = new RegExp(`^(?:note\\s+for|style|click|link|callback)\\s+(${CLASS_NAME})`);
+export const CSS_CLASS_STATEMENT = /^cssClass\s+"([^"]*)"(.*)$/;
+
+// The node key Mermaid derives from a class name: no backticks, no generics
+export const classKey = (name) => name.replace(/^`|`$/g, '').replace(/~.*$/, '');
+
+const isComment = (line) => /^\s*%%/.test(line);
+
+// Declarations of a class diagram: the lines of every class (its "class"
+// block, member and annotation lines) and every relation in source order,
+// which is the order of the parsed relations.
+// Returns {
+//   classes: Map key -> [lines], names: Map key -> name as first written,
+//   members: Map key -> [{ line, text, method, inBlock }] (methods have parentheses),
+//   relations: [{ line, source, target, spans: { source, target } }] where the
+//     spans are the [start, end) columns of the two class names,
+//   namespaces: [{ name, start, end, classes: [keys] }] with their first and last line,
+//   declarations: Map key -> [{ start, end }], the lines of each "class" statement or block
+// }
+export function parseClassSource(text) {
+    const classes = new Map();
+    const names = new Map();
+    const members = new Map();
+    const relations = [];
+    const namespaces = [];
+    const declarations = new Map();
+    const addLine = (name, line) => {
+        const key = classKey(name);
+        if (!classes.has(key)) {
+            classes.set(key, []);
+            names.set(key, name);
+        }
+        classes.get(key).push(line);
+    };
+    const addMember = (name, line, member, inBlock) => {
+        const key = classKey(name);
+        if (!members.has(key)) members.set(key, []);
+        members.get(key).push({ line, text: member.trim(), method: member.includes('('), inBlock });
+    };
+
+    let openClass = null; // Name of the class whose { ... } block is open
+    let openDeclaration = null;
+    let openNamespace = null;
+    text.split('\n').forEach((rawLine, line) => {
+        const content = rawLine.trim();
+        if (!content || isComment(content)) return;
+        if (openClass) {
+            addLine(openClass, line);
+            openDeclaration.end = line;
+            if (content.includes('}')) {
+                openClass = null;
+            } else if (!content.startsWith('<<')) {
+                addMember(openClass, line, content, true);
+            }
+            return;
+        }
+
+        let match = content.match(NAMESPACE);
+        if (match) {
+            openNamespace = { name: match[1], start: line, end: line, classes: [] };
+            namespaces.push(openNamespace);
+            return;
+        }
+        if (openNamespace && content.startsWith('}')) {
+            openNamespace.end = line;
+            openNamespace = null;
+            return;
+        }
+        match = content.match(CLASS_DECLARATION);
+        if (match) {
+            const key = classKey(match[1]);
+            addLine(match[1], line);
+            if (openNamespace && !openNamespace.classes.includes(key)) {
+                openNamespace.classes.push(key);
+            }
+            openDeclaration = { start: line, end: line };
+            if (!declarations.has(key)) declarations.set(key, []);
+            declarations.get(key).push(openDeclaration);
+            if (content.includes('{') && !content.includes('}')) openClass = match[1];
+            return;
+        }
+        match = content.match(CLASS_RELATION);
+        if (match) {
+            const indent = rawLine.length - rawLine.trimStart().length;
+            const span = ([start, end]) => [start + indent, end + indent];
+            relations.push({
+                line,
+                source: classKey(match[1]),
+                target: classKey(match[2]),
+                spans: { source: span(match.indices[1]), target: span(match.indices[2]) }
+            });
+            return;
+        }
+        match = content.match(CLASS_ANNOTATION);
+        if (match) {
+            addLine(match[1], line);
+            return;
+        }
+        match = content.match(CLASS_MEMBER);
+        if (match) {
+            addLine(match[1], line);
+            addMember(match[1], line, content.slice(match[0].length), false);
+        }
+    });
+    return { classes, names, members, relations, namespaces, declarations };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lines (outside comments) in which every one of the words appears as a whole
+// word, for diagram types without a dedicated parser
+export function findLinesWithWords(text, words) {
+    const patterns = words.map(word => new RegExp(`(^|\\W)${escapeRegExp(word)}($|\\W)`));
+    const lines = [];
+    text.split('\n').forEach((content, line) => {
+        if (!isComment(content) && patterns.every(pattern => pattern.test(content))) {
+            lines.push(line);
+        }
+    });
+    return lines;
+}
+
+// Line of a character offset
+export const lineAtOffset = (text, offset) => text.slice(0, offset).split('\n').length - 1;
+
+// Character offsets of the start of firstLine and the end of lastLine
+export function lineRangeOffsets(text, firstLine, lastLine) {
+    const lines = text.split('\n');
+    let start = 0;
+    for (let line = 0; line < firstLine; line++) start += lines[line].length + 1;
+    let end = start;
+    for (let line = firstLine; line <= lastLine; line++) end += lines[line].length + 1;
+    return { start, end: end - 1 };
+}
+
+// Position of a Mermaid parse error in the editor text: { line, column,
+// endColumn } (columns may be null), or null when the error has none.
+// Mermaid counts lines in the trimmed source it was given.
+export function locateError(error, text) {
+    let location = null;
+    const loc = error && error.hash && error.hash.loc;
+    if (loc && Number.isInteger(loc.first_line)) {
+        location = {
+            line: loc.first_line - 1,
+            column: Number.isInteger(loc.first_column) ? loc.first_column : null,
+            endColumn: loc.last_line === loc.first_line && Number.isInteger(loc.last_column) ? loc.last_column : null
+        };
+    } else {
+        const match = String((error && error.message) || error).match(/line (\d+)/i);
+        if (!match) return null;
+        location = { line: Number(match[1]) - 1, column: null, endColumn: null };
+    }
+
+    const leadingLines = text.slice(0, text.length - text.trimStart().length).split('\n').length - 1;
+    const lineCount = text.split('\n').length;
+    location.line = Math.min(Math.max(location.line + leadingLines, 0), lineCount - 1);
+    return location;
+}
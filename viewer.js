@@ -0,0 +1,4345 @@
+import mermaid from 'https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.esm.min.mjs';
+import { createLayout, serializeLayout, parseLayout, extractEmbeddedLayout, embedLayout } from './layoutFile.js';
+import { createStandaloneSvg, rasterizeSvg, canvasToBlob, createPdf } from './exportDiagram.js';
+import { detectDiagramType, getAdapter, getNodeLines } from './diagramAdapters.js';
+import { createHistory } from './history.js';
+import { LAYOUT_ALGORITHMS } from './autoLayout.js';
+import { computeSnap, alignRects, distributeRects, sortByReadingOrder, directionBetween, findInDirection } from './alignment.js';
+import { SIDE_NORMALS, chooseSides, assignPorts, routeOrthogonal, pathCrossesRect } from './orthogonalRouting.js';
+import { readNodeShape, intersectShape, getMarkerExtent } from './shapeGeometry.js';
+import { findMatches, collectNeighborhood } from './diagramSearch.js';
+import { parseClassSource, findLinesWithWords, lineAtOffset, lineRangeOffsets, locateError } from './sourceMap.js';
+import { hasShareFragment, createShareFragment, readShareFragment, LINK_WARNING_LENGTH, LINK_MAX_LENGTH } from './shareLink.js';
+import { createMinimap } from './minimap.js';
+import { diagramSignature, carryOverPositions, nodeMarkup, frameMarkup, diffNodes, diffRelations } from './renderDiff.js';
+import { MEMBER_MODES, collapseClassSource } from './collapseSource.js';
+import { moveClassToNamespace, getUnusedClassName, addClass, renameClass, setClassMembers, addRelation, removeRelation, removeClass } from './sourceEdit.js';
+
+// Mermaid's configuration for a theme. Flowcharts and state diagrams always use the
+// dagre-wrapper renderer, whose markup the diagram adapters understand.
+const getMermaidConfig = (theme) => ({
+    startOnLoad: false,
+    theme: theme,
+    securityLevel: 'loose', // Needed for interactions
+    maxTextSize: 500000, // Mermaid's default of 50000 characters is too small for models of a few hundred classes
+    flowchart: { defaultRenderer: 'dagre-wrapper' },
+    state: { defaultRenderer: 'dagre-wrapper' }
+});
+
+// Mermaid's configuration is global, so viewers take turns: each render
+// sets its viewer's theme and runs once the renders before it are done
+let mermaidQueue = Promise.resolve();
+let renderCount = 0;
+
+function renderWithMermaid(theme, render) {
+    const result = mermaidQueue.then(() => {
+        mermaid.initialize(getMermaidConfig(theme));
+        return render();
+    });
+    mermaidQueue = result.catch(() => {});
+    return result;
+}
+
+const EDGE_STYLES = ['curved', 'straight', 'orthogonal'];
+
+const defaultDiagram = `classDiagram
+    class Animal {
+        +String species
+        +makeSound()
+    }
+    class Dog {
+        +bark()
+    }
+    class Cat {
+        +meow()
+    }
+    Animal --o Dog : has
+    Animal <|-- Cat : is
+`;
+
+// An interactive diagram viewer in root (a document or shadow root holding the
+// viewer's markup, see mermaidViewer.js). Its state is its own, so a page can
+// hold several viewers. options: source, theme ('light' or 'dark'), edgeStyle,
+// shareLinks (read the page URL's "#share=" fragment and offer Copy Link) and
+// host, the element the events are dispatched on ('rendered', 'error',
+// 'nodemoved', 'themechange'). Returns the viewer's API.
+export function createViewer(root, options = {}) {
+    const viewerElement = root.getElementById('viewer');
+    const host = options.host || viewerElement;
+    const mermaidInput = root.getElementById('mermaidInput');
+    const editorBackdrop = root.getElementById('editorBackdrop');
+    const mermaidOutput = root.getElementById('mermaidOutput');
+    const darkModeToggle = root.getElementById('darkModeToggle');
+    const edgeStyleSelect = root.getElementById('edgeStyleSelect');
+    const exportLayoutButton = root.getElementById('exportLayoutButton');
+    const importLayoutButton = root.getElementById('importLayoutButton');
+    const importLayoutInput = root.getElementById('importLayoutInput');
+    const embedLayoutButton = root.getElementById('embedLayoutButton');
+    const copyLinkButton = root.getElementById('copyLinkButton');
+    const statusMessage = root.getElementById('statusMessage');
+    const diagramAnnouncer = root.getElementById('diagramAnnouncer');
+    const exportMenu = root.getElementById('exportMenu');
+    const exportScale = root.getElementById('exportScale');
+    const undoButton = root.getElementById('undoButton');
+    const redoButton = root.getElementById('redoButton');
+    const relayoutMenu = root.getElementById('relayoutMenu');
+    const pinButton = root.getElementById('pinButton');
+    const snapToggle = root.getElementById('snapToggle');
+    const gridSpacingInput = root.getElementById('gridSpacingInput');
+    const guidesToggle = root.getElementById('guidesToggle');
+    const namespaceDropToggle = root.getElementById('namespaceDropToggle');
+    const alignMenu = root.getElementById('alignMenu');
+    const searchInput = root.getElementById('searchInput');
+    const searchPrevButton = root.getElementById('searchPrevButton');
+    const searchNextButton = root.getElementById('searchNextButton');
+    const searchCount = root.getElementById('searchCount');
+    const focusToggle = root.getElementById('focusToggle');
+    const focusHopsInput = root.getElementById('focusHopsInput');
+    const relationFilter = root.getElementById('relationFilter');
+    const memberModeSelect = root.getElementById('memberModeSelect');
+    const collapseNamespacesButton = root.getElementById('collapseNamespacesButton');
+    const expandNamespacesButton = root.getElementById('expandNamespacesButton');
+    const minimapPanel = root.getElementById('minimapPanel');
+    const minimapCanvas = root.getElementById('minimapCanvas');
+    const classEditor = root.getElementById('classEditor');
+    const relationPicker = root.getElementById('relationPicker');
+
+    // State variable for edge style: 'curved', 'straight' or 'orthogonal'
+    let edgeStyle = edgeStyleSelect.value;
+
+    // For tracking SVG pan-zoom instance
+    let panZoomInstance = null;
+    // For tracking draggable nodes
+    let dragContext = null;
+    // Keys of the selected nodes, kept across re-renders
+    const selectedKeys = new Set();
+    // Rubber-band selection in progress
+    let selectionBox = null;
+    // Keys of nodes that automatic layouts must not move
+    const pinnedKeys = new Set();
+    // Running re-layout animation
+    let layoutAnimation = null;
+    // How close (in screen pixels) a dragged node has to come to snap to a guide
+    const GUIDE_THRESHOLD_PX = 6;
+    // Gap between the node outline and an edge's path end without a marker, and
+    // the room left for a marker whose size cannot be read
+    const REGULAR_OFFSET = 5;
+    const ARROW_TIP_OFFSET = 20;
+    // Node outlines in the nodes' own coordinates, read once per rendered node
+    const nodeShapes = new WeakMap();
+    // Node rectangles used by orthogonal routing, kept between drag frames so that
+    // only the moved nodes are measured again (see updateOrthogonalEdges)
+    let nodeRects = new Map();
+    // Spacing of parallel edges between the same two nodes: at their middle and where they meet the boxes
+    const FAN_SPACING = 30;
+    const FAN_PORT_SPACING = 10;
+    // Self-loops: how far the first loop reaches out, how much each further one grows, half its width
+    const LOOP_SIZE = 45;
+    const LOOP_STEP = 15;
+    const LOOP_SPREAD = 12;
+    // For tracking connection points
+    let edgeConnections = new Map();
+    // Edges of every node (node -> Set of connections), so moving a node does not scan all edges
+    const nodeEdges = new Map();
+    // Adapter for the type of the rendered diagram (finds nodes, edges and labels)
+    let currentAdapter = getAdapter('class');
+    // Edge model from the parsed diagram (class relations), null for other types
+    let diagramModel = null;
+    // Whether the status bar currently shows edge matching warnings
+    let edgeWarningVisible = false;
+    // Layout store: node translates keyed by class name, kept across re-renders
+    const layoutStore = new Map();
+    // Manual edge geometry (bend points, curve control point, label placement) keyed by edge id
+    const edgeOverrides = new Map();
+    // Edge bend point, curve or label being dragged
+    let edgeDrag = null;
+    // Id of the selected edge (class relations can be selected one at a time, and deleted)
+    let selectedEdgeId = null;
+    // Relation being drawn from a node's handle, and the one waiting for its type in the picker
+    let relationDrag = null;
+    let pendingRelation = null;
+    // Key of the class edited in place, null while the class editor is hidden
+    let editedClass = null;
+    // Pointers currently down on the diagram (pointerId -> last client position), for pinch zoom
+    const activePointers = new Map();
+    // View pan or two-finger pinch in progress
+    let viewGesture = null;
+    // Whether Space is held, which turns a left-drag into panning
+    let spacePanning = false;
+    // Nodes being moved with the arrow keys, recorded as one undo step when the key is released
+    let keyboardMove = null;
+    // Arrow key steps: nodes move in diagram units (or by the grid spacing), the view in screen pixels
+    const KEY_STEP = 10;
+    const LARGE_KEY_STEP_FACTOR = 5;
+    const PAN_STEP_PX = 50;
+    const PAN_STEP_LARGE_PX = 250;
+    // Room left around the diagram by fit-to-view, in screen pixels
+    const FIT_PADDING = 20;
+    // Nodes matching the search box ({ key, line }) in reading order, and the hit shown last
+    let searchMatches = [];
+    let searchIndex = -1;
+    // Scale (diagram units to screen pixels) that search hits are zoomed in to at least
+    const SEARCH_ZOOM = 1;
+    // Editor lines marked for the clicked node or edge, and where the last render error points to
+    let linkedLines = new Set();
+    let editorError = null;
+    // Whether the status bar currently shows a render error
+    let renderErrorVisible = false;
+    // Where the last press on the diagram started, to tell clicks from drags
+    let pointerDownPosition = null;
+    // Viewport to restore after the next render (from an imported layout)
+    let pendingViewport = null;
+    // Problems from a just-loaded layout, reported once the next render has finished
+    let pendingLayoutProblems = null;
+    // Stored positions of classes missing from a render (e.g. a name half typed),
+    // given back when the class returns; kept until a layout is loaded
+    const missingPositions = new Map();
+    // Edge geometry set aside the same way, keyed by edge id
+    const missingEdgeOverrides = new Map();
+    // Number of node descriptions made for the shown SVG, for their ids
+    let nodeDescriptionCount = 0;
+    // Last "%% layout:" payload applied from the source, so typing does not re-apply it
+    let lastEmbeddedLayout = '';
+    // Source text of the last successful render, the "before" side of the next text checkpoint
+    let lastRenderedText = null;
+    // Theme and source signature of the last successful render, to skip edits that change neither
+    let renderedSignature = null;
+    // Positions from the previous render for nodes without a stored position (see carryOverPositions)
+    let carriedPositions = new Map();
+    // What the next render is compared with to patch the shown one (see patchRender):
+    // the frame of the shown SVG (null when it cannot be patched) and its nodes' markup
+    let renderedFrame = null;
+    let renderedNodeMarkup = new Map();
+    // Hidden class members: per class (set with the class's toggle) over the mode for all classes
+    const memberModes = new Map();
+    let defaultMemberMode = 'none';
+    // Names of the namespaces shown as a single placeholder class
+    const collapsedNamespaces = new Set();
+    // What the rendered class diagram left out (see collapseClassSource), null for other types
+    let collapsedSource = null;
+    // Where the classes of a collapsed namespace were, so expanding it puts them back
+    const hiddenNodePositions = new Map();
+    // Frames around the classes of each namespace (name -> frame, see initializeNamespaceFrames)
+    const namespaceFrames = new Map();
+    // Zoom limits, relative to the scale at which each render initially fits
+    const MIN_ZOOM = 0.05;
+    const MAX_ZOOM = 1;
+    // Set while a checkpoint is restored, so the resulting render is not recorded again
+    let restoringCheckpoint = false;
+    // Overview of the whole diagram, panning the main view when dragged or clicked
+    const minimap = createMinimap(minimapCanvas, centerViewOn);
+    // Pending minimap redraw
+    let minimapFrame = null;
+
+    // Undo/redo history for layout edits and text checkpoints
+    const layoutHistory = createHistory(100, () => updateHistoryButtons());
+    // Whether this viewer reads shared links from the page URL and offers to copy them
+    const shareLinks = Boolean(options.shareLinks);
+    // Listeners on the window and document, removed by destroy
+    const listeners = [];
+    // Set by destroy; renders still in progress are dropped
+    let destroyed = false;
+
+    function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        listeners.push({ target, type, handler });
+    }
+
+    // Events for the page, dispatched on the host element
+    function emit(type, detail) {
+        host.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // Cleanup function for previous event listeners and instances
+    const cleanup = () => {
+        cancelInteractions();
+        if (panZoomInstance) {
+            panZoomInstance.destroy();
+            panZoomInstance = null;
+        }
+
+        // Remove the document-level listeners of the drag in progress
+        document.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerup', handlePointerUp);
+        document.removeEventListener('pointercancel', handlePointerUp);
+
+        // Clear edge connections map
+        edgeConnections.clear();
+        nodeEdges.clear();
+        nodeRects.clear();
+        namespaceFrames.clear();
+    };
+
+    // Drop interactions that belong to the shown SVG, before it is replaced or patched
+    function cancelInteractions() {
+        finishKeyboardMove();
+        cancelSelectionBox();
+        dragContext = null;
+        endViewGesture();
+        activePointers.clear();
+        if (edgeDrag && edgeDrag.frame) {
+            cancelAnimationFrame(edgeDrag.frame);
+        }
+        edgeDrag = null;
+        relationDrag = null;
+        closeRelationPicker();
+        closeClassEditor(false);
+        if (layoutAnimation) {
+            cancelAnimationFrame(layoutAnimation.frame);
+            layoutAnimation.resolve(false);
+            layoutAnimation = null;
+        }
+    }
+
+    // Initialize SVG pan-zoom for panning and zooming. keptView ({ realZoom, pan })
+    // is the view of the previous render, shown again instead of the initial one.
+    function initializePanZoom(keptView = null) {
+        const svg = mermaidOutput.querySelector('svg');
+        if (!svg) {
+            console.error("[PanZoom Debug] SVG element not found for pan/zoom.");
+            return;
+        }
+
+        // Reset instance if exists
+        if (panZoomInstance) {
+            panZoomInstance.destroy();
+            panZoomInstance = null;
+        }
+
+        svg.addEventListener('pointerdown', (e) => {
+            // Pressing on the diagram applies the class being edited and dismisses the relation picker
+            closeClassEditor(true);
+            closeRelationPicker();
+            // The handlers below prevent the default focus change; the viewer's shortcuts need the focus inside it
+            if (!svg.contains(root.activeElement)) svg.focus({ preventScroll: true });
+            // Collapse toggles act on click and start no drag
+            if (e.target.closest('.collapse-toggle')) return;
+            // The first finger of a new touch (or any mouse press) starts from a clean slate
+            if (e.isPrimary) activePointers.clear();
+            activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            pointerDownPosition = { x: e.clientX, y: e.clientY };
+
+            if (e.pointerType === 'touch' && activePointers.size === 2) {
+                // A second finger turns whatever the first one started into a pinch
+                startPinch();
+                return;
+            }
+            if (activePointers.size > 1) return; // Further fingers only take part in the pinch
+
+            if (e.button === 1 || (e.button === 0 && (spacePanning || !currentAdapter.draggable))) {
+                // Middle-drag, Space+drag and any drag on read-only diagrams pan
+                e.preventDefault(); // Prevent default middle-click scroll behavior
+                startPan(e);
+            } else if (e.button === 0) {
+                const handle = e.target.closest('.relation-handle');
+                const targetNode = e.target.closest('g.node');
+                const targetEdge = targetNode ? null : findEdgeTarget(e.target);
+                const targetFrame = targetNode || targetEdge ? null : findNamespaceFrame(e.target);
+                if (handle) {
+                    startRelationDrag(e, targetNode);
+                } else if (targetNode) {
+                    handleNodePointerDown(e, targetNode);
+                } else if (targetEdge) {
+                    // Bend the edge or move its label
+                    handleEdgePointerDown(e, targetEdge);
+                } else if (targetFrame) {
+                    handleNamespacePointerDown(e, targetFrame);
+                } else if (e.pointerType === 'touch') {
+                    // Touch has no middle button, so one finger on the background pans
+                    startPan(e);
+                } else {
+                    // Mouse or pen on the background starts a selection rectangle
+                    handleBackgroundPointerDown(e);
+                }
+            }
+            // Other buttons (right) should not interfere
+        });
+
+        // A click on a node or edge selects its declaration in the editor
+        svg.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.collapse-toggle');
+            if (toggle) {
+                toggleCollapse(toggle.dataset);
+                return;
+            }
+            if (!currentAdapter.draggable || !pointerDownPosition) return;
+            // The end of a drag is no click
+            if (Math.hypot(e.clientX - pointerDownPosition.x, e.clientY - pointerDownPosition.y) > 3) return;
+            const node = e.target.closest('g.node');
+            const targetEdge = node ? null : findEdgeTarget(e.target);
+            if (node) {
+                selectSourceLines(getSourceLinesForNode(node));
+            } else if (targetEdge) {
+                selectSourceLines(getSourceLinesForEdge(targetEdge.connection));
+                if (canEditClasses()) selectEdge(targetEdge.connection);
+            }
+        });
+
+        // Double-click on an edge or its label returns it to automatic routing. In
+        // class diagrams, double-click on a class edits it, on the background adds one.
+        svg.addEventListener('dblclick', (e) => {
+            if (!currentAdapter.draggable) return;
+            const targetEdge = findEdgeTarget(e.target);
+            if (targetEdge) {
+                resetEdge(targetEdge.connection);
+                return;
+            }
+            if (!canEditClasses() || e.target.closest('.collapse-toggle, .relation-handle')) return;
+            const node = e.target.closest('g.node');
+            if (node) {
+                openClassEditor(node);
+            } else {
+                createClassAt(e, findNamespaceFrame(e.target));
+            }
+        });
+
+        // Panning and pinching are done by the pointer handlers, svg-pan-zoom only zooms with the wheel
+        const panZoomOptions = {
+            zoomEnabled: true,
+            panEnabled: false,
+            controlIconsEnabled: false,
+            center: true,
+            minZoom: MIN_ZOOM,
+            maxZoom: MAX_ZOOM,
+            zoomScaleSensitivity: 0.3,
+            mouseWheelZoomEnabled: true,
+            dblClickZoomEnabled: false,
+            onZoom: function(newZoom) {
+                scheduleMinimapUpdate();
+            },
+            onPan: function(newPan) {
+                scheduleMinimapUpdate();
+            }
+        };
+
+        panZoomInstance = svgPanZoom(svg, panZoomOptions);
+        initializeKeyboardAccess(svg);
+
+        // Document-level listeners follow drags and gestures outside the diagram
+        document.addEventListener('pointermove', handlePointerMove);
+        document.addEventListener('pointerup', handlePointerUp);
+        document.addEventListener('pointercancel', handlePointerUp);
+
+        // Re-rendering the same diagram keeps the view, unless a loaded layout brings its own
+        if (keptView && !pendingViewport) {
+            restoreView(keptView);
+            return;
+        }
+
+        // Force center and fit once the pan-zoom is initialized
+        setTimeout(() => {
+            if (panZoomInstance) {
+                if (pendingViewport) {
+                    // Restore the viewport saved with an imported layout
+                    panZoomInstance.zoom(pendingViewport.zoom);
+                    panZoomInstance.pan(pendingViewport.pan);
+                    pendingViewport = null;
+                    return;
+                }
+                panZoomInstance.center();
+                const initialZoomLevel = 0.2;
+                panZoomInstance.zoom(initialZoomLevel);
+            }
+        }, 150);
+    }
+
+    // Show the diagram at the scale and pan of the previous render. Zoom levels
+    // are relative to each render's initial fit, so the limits are widened where
+    // the kept scale lies outside them for the new diagram.
+    function restoreView(view) {
+        const zoom = panZoomInstance.getZoom() * view.realZoom / panZoomInstance.getSizes().realZoom;
+        if (zoom < MIN_ZOOM) panZoomInstance.setMinZoom(zoom);
+        if (zoom > MAX_ZOOM) panZoomInstance.setMaxZoom(zoom);
+        panZoomInstance.zoom(zoom);
+        panZoomInstance.pan(view.pan);
+    }
+
+    // Make nodes draggable
+    const makeNodesDraggable = () => {
+        const svg = mermaidOutput.querySelector('svg');
+        if (!svg || !currentAdapter.draggable) return;
+
+        // Find and analyze all edges
+        analyzeEdges(svg);
+        initializeNamespaceFrames(svg);
+
+        svg.querySelectorAll('g.node').forEach(makeNodeClickable);
+
+        // Restore positions the user set before this render
+        applyStoredLayout(svg);
+        refreshSelection();
+        refreshPins();
+        updateGridLayer();
+        makeNodesFocusable(svg);
+        addRelationHandles();
+        addCollapseToggles(svg);
+    };
+
+    // Make sure the whole node is clickable
+    function makeNodeClickable(node) {
+        const shapes = node.querySelectorAll('rect, circle, ellipse, polygon');
+        shapes.forEach(shape => {
+            shape.style.pointerEvents = 'all';
+        });
+    }
+
+    // Derive a stable key for a node from its Mermaid DOM id (e.g. "classId-Animal-0" -> "Animal")
+    function getNodeKey(node) {
+        return currentAdapter.getNodeKey(node);
+    }
+
+    // Re-apply stored positions to matching nodes. Entries for classes that are
+    // gone are set aside, and dropped when they came with a loaded layout.
+    function applyStoredLayout(svg) {
+        const nodes = Array.from(svg.querySelectorAll('g.node'));
+        const staleKeys = pruneStoredLayout(new Set(nodes.map(getNodeKey)));
+
+        // Report what could not be applied from a freshly loaded layout
+        if (pendingLayoutProblems) {
+            const problems = pendingLayoutProblems.slice();
+            if (staleKeys.length > 0) {
+                problems.push(`No class named ${staleKeys.map(key => `"${key}"`).join(', ')} in the diagram`);
+            }
+            if (problems.length > 0) {
+                showStatus(`Layout loaded with problems: ${problems.join('; ')}`, 'warning');
+            } else {
+                showStatus('Layout loaded', 'info');
+            }
+            pendingLayoutProblems = null;
+        }
+
+        // Nodes without a stored position stay where the previous render showed them
+        const moved = nodes.filter(node => {
+            const key = getNodeKey(node);
+            const position = layoutStore.get(key) || carriedPositions.get(key);
+            if (position) {
+                node.setAttribute('transform', `translate(${position.x},${position.y})`);
+            }
+            return Boolean(position);
+        });
+        carriedPositions = new Map();
+        if (edgeStyle === 'orthogonal') {
+            // Mermaid's own routes are not orthogonal, so every edge gets rerouted
+            redrawAllEdges();
+        } else {
+            updateEdgesForNodes(moved);
+        }
+    }
+
+    // Set aside the stored positions of classes that are not rendered (dropped
+    // when they came with a loaded layout), and give back those of classes that
+    // are rendered again. Returns the keys of the positions taken out.
+    function pruneStoredLayout(presentKeys) {
+        const staleKeys = [];
+        layoutStore.forEach((position, key) => {
+            // Classes of a collapsed namespace keep their place for when it is expanded
+            if (!presentKeys.has(key) && !(collapsedSource && collapsedSource.hiddenClasses.has(key))) {
+                layoutStore.delete(key);
+                staleKeys.push(key);
+                if (!pendingLayoutProblems) missingPositions.set(key, position);
+            }
+        });
+        presentKeys.forEach(key => {
+            if (missingPositions.has(key) && !layoutStore.has(key)) layoutStore.set(key, missingPositions.get(key));
+            missingPositions.delete(key);
+        });
+        return staleKeys;
+    }
+
+    // Analyze edges and store connection info
+    function analyzeEdges(svg) {
+        edgeConnections.clear();
+        nodeEdges.clear();
+
+        const nodes = Array.from(svg.querySelectorAll('g.node'));
+
+        // Find the node whose box contains (or lies closest to) a point
+        const locateNode = (point) => {
+            let closest = null;
+            let minDist = Infinity;
+            nodes.forEach(node => {
+                const rect = getNodeRect(node);
+                const distX = Math.max(rect.left - point.x, 0, point.x - rect.right);
+                const distY = Math.max(rect.top - point.y, 0, point.y - rect.bottom);
+                const dist = Math.sqrt(distX * distX + distY * distY);
+                if (dist < minDist) {
+                    minDist = dist;
+                    closest = node;
+                }
+            });
+            return closest;
+        };
+
+        const warnings = [];
+        const matches = currentAdapter.getEdges(svg, nodes, locateNode, diagramModel);
+        matches.forEach((match, index) => {
+            const { edge, source, target, relation, warning } = match;
+            if (warning) {
+                warnings.push(warning);
+                // Leave unmatched edges where Mermaid drew them, but make them stand out
+                if (edge) edge.classList.add('edge-unmatched');
+            }
+            if (!edge || !source || !target) return;
+
+            // Class relations are keyed by what they connect, so their geometry follows
+            // them when other relations are added or removed; other edges by the path id,
+            // with the index as a fallback if the id is missing
+            const edgeId = (relation && relation.key) || edge.id || `edge-index-${index}`;
+            connectEdge(match, edgeId);
+        });
+        assignEdgeBundles();
+
+        // Manual geometry of edges that are gone is set aside like missing node positions,
+        // or reported and dropped when it came with a loaded layout
+        const staleEdgeIds = [];
+        edgeOverrides.forEach((override, edgeId) => {
+            if (edgeConnections.has(edgeId)) return;
+            edgeOverrides.delete(edgeId);
+            if (pendingLayoutProblems) staleEdgeIds.push(edgeId);
+            else missingEdgeOverrides.set(edgeId, override);
+        });
+        edgeConnections.forEach((connection, edgeId) => restoreEdgeOverride(edgeId));
+        if (staleEdgeIds.length > 0) {
+            pendingLayoutProblems.push(`No edge ${staleEdgeIds.map(id => `"${id}"`).join(', ')} in the diagram`);
+        }
+
+        if (warnings.length > 0) {
+            showStatus(`Some edges could not be matched reliably: ${warnings.join('; ')}`, 'warning');
+            edgeWarningVisible = true;
+        } else if (edgeWarningVisible) {
+            showStatus('');
+            edgeWarningVisible = false;
+        }
+    }
+
+    // Keep track of a matched edge under the given id, with a wider invisible
+    // copy of its path so that it is easy to grab
+    function connectEdge({ edge, source, target, label, slot, terminals, relation }, edgeId) {
+        const hitPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        hitPath.setAttribute('class', 'edge-hit');
+        hitPath.setAttribute('d', edge.getAttribute('d'));
+        edge.after(hitPath);
+
+        const connection = {
+            id: edgeId,
+            edge: edge,
+            hitPath: hitPath,
+            source: source,
+            target: target,
+            label: label,
+            // Mermaid's label element for the edge, also when it has no label text
+            slot: slot || null,
+            terminals: terminals || [],
+            relation: relation || null,
+            originalD: edge.getAttribute('d'),
+            markerEnd: edge.getAttribute('marker-end'),
+            markerStart: edge.getAttribute('marker-start'),
+            // Arrowheads end exactly on the outline, so the path stops short by the marker's reach
+            startClearance: markerClearance(edge, 'start'),
+            endClearance: markerClearance(edge, 'end'),
+            initialSourcePos: getNodeCenterPosition(source),
+            initialTargetPos: getNodeCenterPosition(target),
+            // Position among the edges between the same two nodes (see assignEdgeBundles)
+            bundleIndex: 0,
+            bundleSize: 1
+        };
+        edgeConnections.set(edgeId, connection);
+        [source, target].forEach(node => {
+            if (!nodeEdges.has(node)) nodeEdges.set(node, new Set());
+            nodeEdges.get(node).add(connection);
+        });
+        return connection;
+    }
+
+    // Give an edge that is back the geometry set aside when it went missing
+    function restoreEdgeOverride(edgeId) {
+        if (missingEdgeOverrides.has(edgeId) && !edgeOverrides.has(edgeId)) {
+            edgeOverrides.set(edgeId, missingEdgeOverrides.get(edgeId));
+        }
+        missingEdgeOverrides.delete(edgeId);
+    }
+
+    // Number the edges that connect the same pair of nodes (in either direction)
+    // or loop on the same node, so they can be fanned out instead of overlapping
+    function assignEdgeBundles() {
+        const bundles = new Map();
+        edgeConnections.forEach(connection => {
+            const bundleKey = [getNodeKey(connection.source), getNodeKey(connection.target)].sort().join('\n');
+            if (!bundles.has(bundleKey)) bundles.set(bundleKey, []);
+            bundles.get(bundleKey).push(connection);
+        });
+        bundles.forEach(connections => {
+            connections.forEach((connection, index) => {
+                connection.bundleIndex = index;
+                connection.bundleSize = connections.length;
+            });
+        });
+    }
+
+    // Helper to get the center position of a node
+    function getNodeCenterPosition(node) {
+        const bbox = node.getBBox();
+        const transform = getNodeTransform(node);
+
+        return {
+            x: bbox.x + bbox.width / 2 + transform.x,
+            y: bbox.y + bbox.height / 2 + transform.y
+        };
+    }
+
+    // Helper to get the rectangle for a node (with transform applied)
+    function getNodeRect(node) {
+        const bbox = node.getBBox();
+        const transform = getNodeTransform(node);
+
+        return {
+            x: bbox.x + transform.x,
+            y: bbox.y + transform.y,
+            width: bbox.width,
+            height: bbox.height,
+            centerX: bbox.x + bbox.width / 2 + transform.x,
+            centerY: bbox.y + bbox.height / 2 + transform.y,
+            left: bbox.x + transform.x,
+            right: bbox.x + bbox.width + transform.x,
+            top: bbox.y + transform.y,
+            bottom: bbox.y + bbox.height + transform.y
+        };
+    }
+
+    // Outline of a node (see shapeGeometry.js), cached for the rendered node
+    function getNodeShape(node) {
+        if (!nodeShapes.has(node)) {
+            nodeShapes.set(node, readNodeShape(node));
+        }
+        return nodeShapes.get(node);
+    }
+
+    // Where the line from a point inside a node towards another point crosses the
+    // node's outline; nodes without a readable shape fall back to their bounding box
+    function findNodeBoundary(node, from, to) {
+        let shape = getNodeShape(node);
+        if (!shape) {
+            const bbox = node.getBBox();
+            shape = { type: 'rect', left: bbox.x, top: bbox.y, right: bbox.x + bbox.width, bottom: bbox.y + bbox.height, rx: 0, ry: 0 };
+        }
+        return intersectShape(shape, getNodeTransform(node), from, to);
+    }
+
+    // Node dragging handlers
+    function handleNodePointerDown(e, node) {
+        // Prevent the default context menu when right-clicking on a node
+        e.preventDefault();
+        // Prevent SVG pan-zoom from interfering when starting a node drag
+        e.stopPropagation();
+
+        const svg = mermaidOutput.querySelector('svg');
+        const viewport = svg ? svg.querySelector('g.svg-pan-zoom_viewport') : null;
+        if (!svg || !viewport) {
+            console.error("SVG or viewport group not found!");
+            return;
+        }
+
+        // Shift/Ctrl-click toggles the node in the selection without dragging
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            toggleNodeSelection(node);
+            return;
+        }
+
+        // Dragging an unselected node selects just that node
+        if (!selectedKeys.has(getNodeKey(node))) {
+            setSelection([node]);
+        }
+        startNodeDrag(e, node, getSelectedNodes());
+    }
+
+    // Dragging a namespace's frame moves all of its classes
+    function handleNamespacePointerDown(e, frame) {
+        e.preventDefault();
+        e.stopPropagation();
+        setSelection(frame.members);
+        startNodeDrag(e, frame.members[0], frame.members, frame.name);
+    }
+
+    // Start moving the given nodes. node snaps to the grid and guides (the node
+    // under the pointer, or a dragged namespace's first class); namespace is the
+    // name of the namespace whose frame is dragged.
+    function startNodeDrag(e, node, nodes, namespace = null) {
+        // Other nodes' rectangles are the targets for smart guides
+        const draggedSet = new Set(nodes);
+        const guideTargets = getRenderedNodes()
+            .filter(otherNode => !draggedSet.has(otherNode))
+            .map(getNodeRect);
+
+        // Initialize drag context with the starting transform of every dragged node
+        dragContext = {
+            node: node,
+            primaryRect: getNodeRect(node),
+            guideTargets: guideTargets,
+            snapThreshold: 0,
+            snapDisabled: false,
+            nodes: nodes.map(selectedNode => ({
+                node: selectedNode,
+                initialTransform: getNodeTransform(selectedNode)
+            })),
+            before: capturePositions(nodes), // For the undo history
+            layoutBefore: new Map(layoutStore), // For the undo history, if the drop changes the source
+            namespace: namespace,
+            // Classes dropped on another namespace's frame move into it
+            betweenNamespaces: !namespace && namespaceDropToggle.checked && namespaceFrames.size > 0,
+            pointerId: e.pointerId,
+            startClientX: e.clientX, // Store starting SCREEN coordinates
+            startClientY: e.clientY, // Store starting SCREEN coordinates
+            delta: { x: 0, y: 0 },
+            frame: null
+        };
+
+        // Add a temporary class for styling
+        nodes.forEach(selectedNode => selectedNode.classList.add('dragging'));
+    }
+
+    // Route pointer movement to the gesture or drag it belongs to
+    function handlePointerMove(e) {
+        if (activePointers.has(e.pointerId)) {
+            activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        }
+        if (viewGesture) {
+            updateViewGesture();
+            return;
+        }
+        // Only the pointer that started a drag moves it
+        const interaction = selectionBox || edgeDrag || relationDrag || dragContext;
+        if (!interaction || interaction.pointerId !== e.pointerId) return;
+
+        if (selectionBox) {
+            updateSelectionBox(e);
+        } else if (edgeDrag) {
+            updateEdgeDrag(e);
+        } else if (relationDrag) {
+            updateRelationDrag(e);
+        } else {
+            updateNodeDrag(e);
+        }
+    }
+
+    function updateNodeDrag(e) {
+        const svg = mermaidOutput.querySelector('svg');
+        const viewport = svg ? svg.querySelector('g.svg-pan-zoom_viewport') : null;
+        if (!svg || !viewport) {
+            return;
+        }
+
+        // Calculate delta in client (screen) coordinates
+        const deltaClientX = e.clientX - dragContext.startClientX;
+        const deltaClientY = e.clientY - dragContext.startClientY;
+
+        // Get the inverse of the VIEWPORT's screen CTM
+        const ctmInverse = viewport.getScreenCTM().inverse();
+
+        // Transform the screen delta vector into an SVG delta vector
+        // Use the linear part of the inverse matrix (a, b, c, d) for scaling
+        dragContext.delta = {
+            x: ctmInverse.a * deltaClientX + ctmInverse.c * deltaClientY,
+            y: ctmInverse.b * deltaClientX + ctmInverse.d * deltaClientY
+        };
+        // Guide threshold in diagram units at the current zoom; Alt drags freely
+        dragContext.snapThreshold = GUIDE_THRESHOLD_PX * Math.abs(ctmInverse.a);
+        dragContext.snapDisabled = e.altKey;
+
+        // Move nodes and reroute edges at most once per frame
+        if (!dragContext.frame) {
+            dragContext.frame = requestAnimationFrame(applyDragFrame);
+        }
+    }
+
+    // Apply the latest drag delta to all dragged nodes and reroute their edges once
+    function applyDragFrame() {
+        if (!dragContext) return;
+        dragContext.frame = null;
+
+        let delta = dragContext.delta;
+        if ((snapToggle.checked || guidesToggle.checked) && !dragContext.snapDisabled) {
+            // Snap the node under the pointer; the rest of the selection follows
+            const snap = computeSnap(dragContext.primaryRect, delta, dragContext.guideTargets, {
+                threshold: dragContext.snapThreshold,
+                gridSpacing: snapToggle.checked ? getGridSpacing() : 0,
+                guides: guidesToggle.checked
+            });
+            delta = snap;
+            drawGuides(dragContext.node.parentNode, snap.lines);
+        } else {
+            clearGuides();
+        }
+        dragContext.nodes.forEach(({ node, initialTransform }) => {
+            node.setAttribute('transform', `translate(${initialTransform.x + delta.x},${initialTransform.y + delta.y})`);
+        });
+        updateEdgesForNodes(dragContext.nodes.map(entry => entry.node));
+        if (dragContext.betweenNamespaces) {
+            // Mark the frame the node under the pointer would move into
+            const current = getNamespaceOf(dragContext.node);
+            const target = findNamespaceAt(dragContext.node);
+            namespaceFrames.forEach((frame, name) => {
+                frame.cluster.classList.toggle('drop-target', name === target && target !== current);
+            });
+        }
+    }
+
+    // Pointer released or taken over by the browser (pointercancel): end what it was doing
+    function handlePointerUp(e) {
+        activePointers.delete(e.pointerId);
+        if (viewGesture) {
+            // A pinch ends when a finger lifts; the remaining one does nothing until it lifts too
+            if (viewGesture.type === 'pinch' || viewGesture.pointerId === e.pointerId) {
+                endViewGesture();
+            }
+            return;
+        }
+        const interaction = selectionBox || edgeDrag || relationDrag || dragContext;
+        if (!interaction || interaction.pointerId !== e.pointerId) return;
+
+        if (selectionBox) {
+            if (e.type === 'pointercancel') {
+                cancelSelectionBox();
+            } else {
+                finishSelectionBox(e);
+            }
+        } else if (edgeDrag) {
+            finishEdgeDrag();
+        } else if (relationDrag) {
+            finishRelationDrag(e);
+        } else {
+            finishNodeDrag();
+        }
+    }
+
+    function finishNodeDrag() {
+        if (dragContext.frame) {
+            cancelAnimationFrame(dragContext.frame);
+        }
+        // Final update of node positions and connected edges
+        applyDragFrame();
+        if (edgeStyle === 'orthogonal') {
+            // Edges the drag only pushed aside can take shorter routes again
+            redrawAllEdges();
+        }
+
+        clearGuides();
+        const nodes = dragContext.nodes.map(entry => entry.node);
+        nodes.forEach(node => {
+            node.classList.remove('dragging');
+            // Remember the position so it survives the next re-render
+            layoutStore.set(getNodeKey(node), getNodeTransform(node));
+        });
+        const { before, layoutBefore, namespace, betweenNamespaces } = dragContext;
+        // Clear drag context
+        dragContext = null;
+
+        if (betweenNamespaces) {
+            namespaceFrames.forEach(frame => frame.cluster.classList.remove('drop-target'));
+            const drop = getNamespaceDrop(nodes);
+            if (drop) {
+                emitNodesMoved(capturePositions(nodes));
+                applySourceEdit(drop.text, drop.label, layoutBefore);
+                return;
+            }
+            // The frames the nodes were dragged out of take them back
+            fitNamespaceFrames();
+        }
+        let label = nodes.length > 1 ? `Move ${nodes.length} nodes` : 'Move node';
+        if (namespace) label = `Move namespace ${namespace}`;
+        recordLayoutChange(label, before, capturePositions(nodes));
+    }
+
+    // --- Panning and pinch zoom ---
+
+    // Drag the view with one pointer (middle button, Space+drag, a finger on the background)
+    function startPan(e) {
+        viewGesture = { type: 'pan', pointerId: e.pointerId, last: { x: e.clientX, y: e.clientY } };
+        mermaidOutput.classList.add('panning');
+    }
+
+    // Two fingers zoom around the point between them and pan as that point moves.
+    // A drag the first finger had started ends where it is.
+    function startPinch() {
+        cancelSelectionBox();
+        if (edgeDrag) finishEdgeDrag();
+        if (dragContext) finishNodeDrag();
+        viewGesture = { type: 'pinch', ...measurePinch() };
+        mermaidOutput.classList.remove('panning');
+    }
+
+    function measurePinch() {
+        const [first, second] = activePointers.values();
+        return {
+            center: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 },
+            distance: Math.hypot(second.x - first.x, second.y - first.y)
+        };
+    }
+
+    function updateViewGesture() {
+        const svg = mermaidOutput.querySelector('svg');
+        if (!svg || !panZoomInstance) return;
+        // svg-pan-zoom works in the units of the SVG element, not in screen pixels
+        const screenToSvg = svg.getScreenCTM().inverse();
+
+        if (viewGesture.type === 'pan') {
+            const point = activePointers.get(viewGesture.pointerId);
+            panZoomInstance.panBy({
+                x: (point.x - viewGesture.last.x) * screenToSvg.a,
+                y: (point.y - viewGesture.last.y) * screenToSvg.d
+            });
+            viewGesture.last = point;
+            return;
+        }
+
+        const { center, distance } = measurePinch();
+        if (viewGesture.distance > 0 && distance > 0) {
+            const focus = new DOMPoint(center.x, center.y).matrixTransform(screenToSvg);
+            panZoomInstance.zoomAtPointBy(distance / viewGesture.distance, { x: focus.x, y: focus.y });
+        }
+        panZoomInstance.panBy({
+            x: (center.x - viewGesture.center.x) * screenToSvg.a,
+            y: (center.y - viewGesture.center.y) * screenToSvg.d
+        });
+        viewGesture.center = center;
+        viewGesture.distance = distance;
+    }
+
+    function endViewGesture() {
+        viewGesture = null;
+        mermaidOutput.classList.remove('panning');
+    }
+
+    // --- Keyboard and screen reader access ---
+
+    // Names for the diagram and its nodes as announced by screen readers
+    const ACCESSIBLE_NAMES = {
+        class: { diagram: 'Class diagram', node: 'class' },
+        flowchart: { diagram: 'Flowchart', node: 'node' },
+        state: { diagram: 'State diagram', node: 'state' },
+        er: { diagram: 'Entity relationship diagram', node: 'entity' }
+    };
+    const DIRECTION_WORDS = { up: 'above', down: 'below', left: 'to the left', right: 'to the right' };
+    const DIRECTION_VECTORS = {
+        up: { x: 0, y: -1 },
+        down: { x: 0, y: 1 },
+        left: { x: -1, y: 0 },
+        right: { x: 1, y: 0 }
+    };
+    const ARROW_KEYS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+
+    // Make the diagram focusable and handle its keyboard shortcuts (all diagram types)
+    function initializeKeyboardAccess(svg) {
+        const names = ACCESSIBLE_NAMES[currentAdapter.type];
+        svg.setAttribute('tabindex', '0');
+        // As an application, screen readers pass the arrow keys through instead of browsing with them
+        svg.setAttribute('role', 'application');
+        svg.setAttribute('aria-roledescription', 'diagram');
+        // A title from the source (accTitle) names the diagram; otherwise its type does
+        if (!svg.hasAttribute('aria-labelledby')) {
+            svg.setAttribute('aria-label', names ? names.diagram : 'Diagram');
+        }
+        const describedBy = [svg.getAttribute('aria-describedby'), 'diagramKeyboardHelp'];
+        svg.setAttribute('aria-describedby', describedBy.filter(Boolean).join(' '));
+
+        svg.addEventListener('keydown', handleDiagramKeyDown);
+        svg.addEventListener('keyup', (e) => {
+            if (ARROW_KEYS[e.key]) finishKeyboardMove();
+        });
+        svg.addEventListener('focusin', (e) => {
+            const node = e.target.closest('g.node');
+            if (!node) return;
+            setFocusableNode(node);
+            // Keyboard focus brings the node into view; a click on it must not move the view
+            if (node.matches(':focus-visible')) revealNode(node);
+        });
+        svg.addEventListener('focusout', finishKeyboardMove);
+    }
+
+    // Give every node a name and a description (text, relations) and put the
+    // first node in reading order into the tab sequence. Given the nodes a patch
+    // added (see patchRender), only those get theirs.
+    function makeNodesFocusable(svg, nodes = null) {
+        const names = ACCESSIBLE_NAMES[currentAdapter.type];
+        let descriptions = mermaidOutput.querySelector('.node-descriptions');
+        if (!nodes || !descriptions) {
+            descriptions = document.createElement('div');
+            descriptions.className = 'visually-hidden node-descriptions';
+            mermaidOutput.appendChild(descriptions);
+            nodeDescriptionCount = 0;
+        }
+
+        (nodes || getRenderedNodes()).forEach(node => {
+            const description = document.createElement('p');
+            description.id = `${svg.id}-node-description-${nodeDescriptionCount++}`;
+            descriptions.appendChild(description);
+
+            node.setAttribute('tabindex', '-1');
+            node.setAttribute('role', 'group');
+            node.setAttribute('aria-roledescription', names ? names.node : 'node');
+            node.setAttribute('aria-label', currentAdapter.describeNode(node).name);
+            node.setAttribute('aria-describedby', description.id);
+            updateNodeDescription(node);
+        });
+        if (nodes) return;
+        const [first] = getNodesInReadingOrder();
+        if (first) first.setAttribute('tabindex', '0');
+    }
+
+    function removeNodeDescription(node) {
+        const description = root.getElementById(node.getAttribute('aria-describedby'));
+        if (description) description.remove();
+    }
+
+    function getNodesInReadingOrder() {
+        const nodesByKey = new Map(getRenderedNodes().map(node => [getNodeKey(node), node]));
+        const rects = Array.from(nodesByKey, ([key, node]) => ({ ...getNodeRect(node), key }));
+        return sortByReadingOrder(rects).map(rect => nodesByKey.get(rect.key));
+    }
+
+    // Nodes connected to a node by at least one edge, excluding itself
+    function getRelatedNodes(node) {
+        const related = new Set();
+        getEdgesOfNodes([node]).forEach(({ source, target }) => {
+            if (source === node && target !== node) related.add(target);
+            if (target === node && source !== node) related.add(source);
+        });
+        return Array.from(related);
+    }
+
+    // "to Dog below (aggregation, has)": the other end, where it lies now, the relation kind and label
+    function describeConnection(connection, node) {
+        const { source, target, relation, label } = connection;
+        let text = 'to itself';
+        if (source !== target) {
+            const other = source === node ? target : source;
+            const direction = directionBetween(getNodeRect(node), getNodeRect(other));
+            text = `${source === node ? 'to' : 'from'} ${currentAdapter.describeNode(other).name} ${DIRECTION_WORDS[direction]}`;
+        }
+        const kinds = relation ? [relation.sourceMarker, relation.targetMarker].filter(kind => kind !== 'none') : [];
+        const title = relation ? relation.title : (label ? label.textContent.trim() : '');
+        const details = [...kinds, title].filter(Boolean);
+        return details.length > 0 ? `${text} (${details.join(', ')})` : text;
+    }
+
+    // Refresh a node's description; the directions of its relations change as nodes move
+    function updateNodeDescription(node) {
+        const description = root.getElementById(node.getAttribute('aria-describedby'));
+        if (!description) return;
+        const parts = currentAdapter.describeNode(node).details.slice();
+        const key = getNodeKey(node);
+        if (selectedKeys.has(key)) parts.push('selected');
+        if (pinnedKeys.has(key)) parts.push('pinned');
+        const relations = Array.from(nodeEdges.get(node) || [], connection => describeConnection(connection, node));
+        parts.push(relations.length > 0 ? `relations: ${relations.join('; ')}` : 'no relations');
+        description.textContent = parts.join('. ');
+    }
+
+    // Roving tab stop: only the focused (or last focused) node is in the tab sequence
+    function setFocusableNode(node) {
+        getRenderedNodes().forEach(other => {
+            if (other !== node && other.getAttribute('tabindex') === '0') other.setAttribute('tabindex', '-1');
+        });
+        node.setAttribute('tabindex', '0');
+        updateNodeDescription(node);
+    }
+
+    function focusNode(node) {
+        setFocusableNode(node);
+        node.focus();
+    }
+
+    // Pan a node into view when focus lands on one outside the visible area
+    function revealNode(node) {
+        const svg = mermaidOutput.querySelector('svg');
+        if (!svg || !panZoomInstance) return;
+        const view = svg.getBoundingClientRect();
+        const box = node.getBoundingClientRect();
+        if (box.left >= view.left && box.right <= view.right && box.top >= view.top && box.bottom <= view.bottom) return;
+        centerNodeInView(node);
+    }
+
+    function centerNodeInView(node) {
+        const svg = mermaidOutput.querySelector('svg');
+        if (!svg || !panZoomInstance) return;
+        const view = svg.getBoundingClientRect();
+        const box = node.getBoundingClientRect();
+        const screenToSvg = svg.getScreenCTM().inverse();
+        panZoomInstance.panBy({
+            x: ((view.left + view.right) / 2 - (box.left + box.right) / 2) * screenToSvg.a,
+            y: ((view.top + view.bottom) / 2 - (box.top + box.bottom) / 2) * screenToSvg.d
+        });
+    }
+
+    function announce(text) {
+        diagramAnnouncer.textContent = text;
+    }
+
+    function handleDiagramKeyDown(e) {
+        // Undo/redo and select all are handled at document level
+        if (e.ctrlKey || e.metaKey) return;
+        const direction = ARROW_KEYS[e.key];
+        const node = currentAdapter.draggable ? e.target.closest('g.node') : null;
+
+        if (node && direction) {
+            e.preventDefault();
+            if (e.altKey) {
+                focusRelatedNode(node, direction);
+            } else {
+                moveNodeByKey(node, direction, e.shiftKey);
+            }
+        } else if (node && e.key === 'Tab') {
+            // Tab follows the reading order; past the first or last node it leaves the diagram
+            const order = getNodesInReadingOrder();
+            const next = order[order.indexOf(node) + (e.shiftKey ? -1 : 1)];
+            if (next) {
+                e.preventDefault();
+                focusNode(next);
+            }
+        } else if (direction && !e.altKey) {
+            e.preventDefault();
+            panByKey(direction, e.shiftKey);
+        } else if ((e.key === '+' || e.key === '=') && panZoomInstance) {
+            e.preventDefault();
+            panZoomInstance.zoomIn();
+        } else if (e.key === '-' && panZoomInstance) {
+            e.preventDefault();
+            panZoomInstance.zoomOut();
+        } else if (e.key === '0') {
+            e.preventDefault();
+            fitToView();
+        } else if (node && (e.key === 'c' || e.key === 'C') && !e.altKey) {
+            const toggle = node.querySelector('.collapse-toggle');
+            if (toggle) {
+                e.preventDefault();
+                toggleCollapse(toggle.dataset, true);
+            }
+        }
+    }
+
+    // Arrow keys move the focused node (and the selection it belongs to, like a
+    // drag). Held keys repeat; the whole press becomes one undo step on release.
+    function moveNodeByKey(node, direction, largeStep) {
+        if (!keyboardMove) {
+            if (!selectedKeys.has(getNodeKey(node))) {
+                setSelection([node]);
+            }
+            const nodes = getSelectedNodes();
+            keyboardMove = { nodes: nodes, before: capturePositions(nodes) };
+        }
+        const step = (snapToggle.checked ? getGridSpacing() : KEY_STEP) * (largeStep ? LARGE_KEY_STEP_FACTOR : 1);
+        const vector = DIRECTION_VECTORS[direction];
+        keyboardMove.nodes.forEach(movedNode => {
+            const transform = getNodeTransform(movedNode);
+            movedNode.setAttribute('transform',
+                `translate(${transform.x + vector.x * step},${transform.y + vector.y * step})`);
+        });
+        updateEdgesForNodes(keyboardMove.nodes);
+    }
+
+    function finishKeyboardMove() {
+        if (!keyboardMove) return;
+        const { nodes, before } = keyboardMove;
+        keyboardMove = null;
+        if (edgeStyle === 'orthogonal') {
+            redrawAllEdges();
+        }
+        nodes.forEach(node => {
+            layoutStore.set(getNodeKey(node), getNodeTransform(node));
+        });
+        recordLayoutChange(nodes.length > 1 ? `Move ${nodes.length} nodes` : 'Move node', before, capturePositions(nodes));
+        announce(nodes.length > 1 ? `${nodes.length} nodes moved` : `${currentAdapter.describeNode(nodes[0]).name} moved`);
+    }
+
+    // Alt+arrow follows a relation to the closest related node in that direction
+    function focusRelatedNode(node, direction) {
+        const related = getRelatedNodes(node);
+        if (related.length === 0) {
+            announce(`${currentAdapter.describeNode(node).name} has no relations`);
+            return;
+        }
+        const rects = related.map((other, index) => ({ ...getNodeRect(other), key: index }));
+        const target = findInDirection(getNodeRect(node), rects, direction);
+        if (target) {
+            focusNode(related[target.key]);
+        } else {
+            announce(`No related node ${DIRECTION_WORDS[direction]}`);
+        }
+    }
+
+    // Arrow keys on the diagram move the view over it, so the content moves the other way
+    function panByKey(direction, largeStep) {
+        const svg = mermaidOutput.querySelector('svg');
+        if (!svg || !panZoomInstance) return;
+        const step = (largeStep ? PAN_STEP_LARGE_PX : PAN_STEP_PX) * svg.getScreenCTM().inverse().a;
+        const vector = DIRECTION_VECTORS[direction];
+        panZoomInstance.panBy({ x: -vector.x * step, y: -vector.y * step });
+    }
+
+    // Extent of the diagram in viewport coordinates. Editing aids (the grid spans
+    // far beyond the diagram) are not measured.
+    function getDiagramBounds(viewport) {
+        const editingAids = Array.from(viewport.querySelectorAll('.grid-layer, .alignment-guides'));
+        editingAids.forEach(element => { element.style.display = 'none'; });
+        const bbox = viewport.getBBox();
+        editingAids.forEach(element => { element.style.display = ''; });
+        return bbox;
+    }
+
+    // Zoom and pan so the whole diagram fits into the visible area
+    function fitToView() {
+        const svg = mermaidOutput.querySelector('svg');
+        const viewport = svg ? svg.querySelector('g.svg-pan-zoom_viewport') : null;
+        if (!viewport || !panZoomInstance) return;
+
+        const bbox = getDiagramBounds(viewport);
+        if (bbox.width === 0 || bbox.height === 0) return;
+
+        const sizes = panZoomInstance.getSizes();
+        const scale = Math.min((sizes.width - FIT_PADDING * 2) / bbox.width, (sizes.height - FIT_PADDING * 2) / bbox.height);
+        // svg-pan-zoom zoom levels are relative to its initial scale
+        panZoomInstance.zoom(panZoomInstance.getZoom() * scale / sizes.realZoom);
+        const { realZoom } = panZoomInstance.getSizes(); // After clamping to minZoom/maxZoom
+        panZoomInstance.pan({
+            x: sizes.width / 2 - (bbox.x + bbox.width / 2) * realZoom,
+            y: sizes.height / 2 - (bbox.y + bbox.height / 2) * realZoom
+        });
+    }
+
+    // --- Search and focus ---
+
+    // Highlight the nodes matching the search box. With reveal, jump to the first
+    // hit; otherwise (after a re-render) stay on the current hit if it still matches.
+    function runSearch(reveal) {
+        const currentKey = searchIndex >= 0 ? searchMatches[searchIndex].key : null;
+        const entries = currentAdapter.draggable
+            ? getNodesInReadingOrder().map(node => ({
+                key: getNodeKey(node),
+                name: currentAdapter.describeNode(node).name,
+                lines: getNodeLines(node)
+            }))
+            : [];
+        searchMatches = findMatches(entries, searchInput.value);
+        searchIndex = reveal ? -1 : searchMatches.findIndex(match => match.key === currentKey);
+
+        const matchedKeys = new Set(searchMatches.map(match => match.key));
+        getRenderedNodes().forEach(node => {
+            node.classList.toggle('search-match', matchedKeys.has(getNodeKey(node)));
+        });
+        if (reveal && searchMatches.length > 0) {
+            goToSearchMatch(0);
+        } else {
+            updateSearchStatus();
+        }
+    }
+
+    // Select and center a hit; the index wraps around in both directions
+    function goToSearchMatch(index) {
+        if (searchMatches.length === 0) return;
+        searchIndex = (index + searchMatches.length) % searchMatches.length;
+        const { key } = searchMatches[searchIndex];
+        const node = getRenderedNodes().find(candidate => getNodeKey(candidate) === key);
+        if (node) {
+            setSelection([node]);
+            centerOnNode(node);
+        }
+        updateSearchStatus();
+    }
+
+    function updateSearchStatus() {
+        const current = searchMatches[searchIndex];
+        getRenderedNodes().forEach(node => {
+            node.classList.toggle('search-current', Boolean(current) && getNodeKey(node) === current.key);
+        });
+        searchPrevButton.disabled = searchMatches.length < 2;
+        searchNextButton.disabled = searchMatches.length < 2;
+        if (!searchInput.value.trim()) {
+            searchCount.textContent = '';
+        } else if (searchMatches.length === 0) {
+            searchCount.textContent = 'No matches';
+        } else if (!current) {
+            searchCount.textContent = `${searchMatches.length} matches`;
+        } else {
+            // Name the member that matched, since it is easy to miss in a large box
+            searchCount.textContent = `${searchIndex + 1} of ${searchMatches.length}` +
+                (current.line ? `: ${current.line}` : '');
+        }
+    }
+
+    // Zoom in to a readable size if needed, then center the node
+    function centerOnNode(node) {
+        if (!panZoomInstance) return;
+        const { realZoom } = panZoomInstance.getSizes();
+        if (realZoom < SEARCH_ZOOM) {
+            panZoomInstance.zoom(panZoomInstance.getZoom() * SEARCH_ZOOM / realZoom);
+        }
+        centerNodeInView(node);
+    }
+
+    // Dim everything outside the focus: the selection's neighborhood when focus
+    // mode is on, and relations of other kinds when the relation filter is set
+    function updateFocus() {
+        // Only class diagrams know the kinds of their relations
+        const kind = diagramModel && relationFilter.value !== 'all' ? relationFilter.value : null;
+        const startKeys = focusToggle.checked ? new Set(selectedKeys) : new Set();
+        let visible = null;
+        if (startKeys.size > 0 || kind) {
+            const edges = Array.from(edgeConnections.values(), connection => ({
+                id: connection.id,
+                source: getNodeKey(connection.source),
+                target: getNodeKey(connection.target),
+                kind: connection.relation ? connection.relation.kind : null
+            }));
+            const hops = Math.max(0, parseInt(focusHopsInput.value, 10) || 0);
+            visible = collectNeighborhood(edges, { startKeys, hops, kind });
+        }
+
+        getRenderedNodes().forEach(node => {
+            node.classList.toggle('dimmed', visible !== null && !visible.nodes.has(getNodeKey(node)));
+        });
+        edgeConnections.forEach(connection => {
+            const dimmed = visible !== null && !visible.edges.has(connection.id);
+            const elements = [connection.edge, connection.hitPath, connection.label,
+                ...connection.terminals.map(terminal => terminal.element)];
+            elements.filter(Boolean).forEach(element => element.classList.toggle('dimmed', dimmed));
+        });
+        scheduleMinimapUpdate();
+    }
+
+    // --- Namespace frames ---
+
+    // Bounding box of an element in the coordinates a namespace frame's rectangle
+    // is drawn in (a frame and its classes need not share a parent group)
+    function getBoxInFrame(element, frame) {
+        const bbox = element.getBBox();
+        const matrix = frame.cluster.getCTM().inverse().multiply(element.getCTM());
+        const corners = [[bbox.x, bbox.y], [bbox.x + bbox.width, bbox.y],
+            [bbox.x, bbox.y + bbox.height], [bbox.x + bbox.width, bbox.y + bbox.height]]
+            .map(([x, y]) => new DOMPoint(x, y).matrixTransform(matrix));
+        return {
+            left: Math.min(...corners.map(point => point.x)),
+            top: Math.min(...corners.map(point => point.y)),
+            right: Math.max(...corners.map(point => point.x)),
+            bottom: Math.max(...corners.map(point => point.y))
+        };
+    }
+
+    function getMembersBox(frame, members) {
+        const boxes = members.map(node => getBoxInFrame(node, frame));
+        return {
+            left: Math.min(...boxes.map(box => box.left)),
+            top: Math.min(...boxes.map(box => box.top)),
+            right: Math.max(...boxes.map(box => box.right)),
+            bottom: Math.max(...boxes.map(box => box.bottom))
+        };
+    }
+
+    const getFrameRect = (frame) => ({
+        x: parseFloat(frame.rect.getAttribute('x')),
+        y: parseFloat(frame.rect.getAttribute('y')),
+        width: parseFloat(frame.rect.getAttribute('width')),
+        height: parseFloat(frame.rect.getAttribute('height'))
+    });
+
+    // Find the frames Mermaid drew for the namespaces of a class diagram, with
+    // their classes and the room Mermaid left around them, which refitted
+    // frames keep (including the space for the namespace's name)
+    function initializeNamespaceFrames(svg) {
+        namespaceFrames.clear();
+        if (!collapsedSource) return;
+        const nodesByKey = new Map(getRenderedNodes().map(node => [getNodeKey(node), node]));
+        const clusters = Array.from(svg.querySelectorAll('g.cluster'));
+        parseClassSource(collapsedSource.text).namespaces.forEach(namespace => {
+            // Mermaid gives namespace frames the namespace's name as id
+            const cluster = clusters.find(candidate => candidate.id === namespace.name);
+            const rect = cluster ? cluster.querySelector(':scope > rect') : null;
+            const members = namespace.classes.filter(key => nodesByKey.has(key)).map(key => nodesByKey.get(key));
+            if (!rect || members.length === 0) return;
+
+            const frame = { name: namespace.name, cluster, rect, label: cluster.querySelector(':scope > .cluster-label'), members };
+            const { x, y, width, height } = getFrameRect(frame);
+            const box = getMembersBox(frame, members);
+            frame.padding = {
+                left: Math.max(0, box.left - x),
+                top: Math.max(0, box.top - y),
+                right: Math.max(0, x + width - box.right),
+                bottom: Math.max(0, y + height - box.bottom)
+            };
+            if (frame.label) {
+                // The name stays where it was relative to the frame's top center
+                const position = getNodeTransform(frame.label);
+                frame.labelOffset = { x: position.x - (x + width / 2), y: position.y - y };
+            }
+            cluster.classList.add('namespace-frame');
+            namespaceFrames.set(namespace.name, frame);
+        });
+    }
+
+    // Fit every namespace frame around its classes. While classes are dragged
+    // between namespaces, the frames leave them out, so the frame a class is
+    // dragged out of stays where its other classes are.
+    function fitNamespaceFrames() {
+        const leaving = dragContext && dragContext.betweenNamespaces
+            ? new Set(dragContext.nodes.map(entry => entry.node))
+            : new Set();
+        namespaceFrames.forEach(frame => {
+            const members = frame.members.filter(node => !leaving.has(node));
+            if (members.length === 0) return;
+            const box = getMembersBox(frame, members);
+            const { padding } = frame;
+            const rect = {
+                x: box.left - padding.left,
+                y: box.top - padding.top,
+                width: box.right - box.left + padding.left + padding.right,
+                height: box.bottom - box.top + padding.top + padding.bottom
+            };
+            Object.entries(rect).forEach(([name, value]) => frame.rect.setAttribute(name, value));
+            if (frame.label) {
+                frame.label.setAttribute('transform',
+                    `translate(${rect.x + rect.width / 2 + frame.labelOffset.x}, ${rect.y + frame.labelOffset.y})`);
+            }
+            const toggle = frame.cluster.querySelector(':scope > .collapse-toggle');
+            if (toggle) placeCollapseToggle(toggle, rect);
+        });
+    }
+
+    // The namespace frame an element belongs to, or null
+    function findNamespaceFrame(element) {
+        const cluster = element.closest('g.cluster');
+        return Array.from(namespaceFrames.values()).find(frame => frame.cluster === cluster) || null;
+    }
+
+    // Name of the namespace a node is in, or null
+    function getNamespaceOf(node) {
+        const entry = Array.from(namespaceFrames).find(([, frame]) => frame.members.includes(node));
+        return entry ? entry[0] : null;
+    }
+
+    // Name of the namespace whose frame contains the node's center, or null
+    function findNamespaceAt(node) {
+        const entry = Array.from(namespaceFrames).find(([, frame]) => {
+            const box = getBoxInFrame(node, frame);
+            const center = { x: (box.left + box.right) / 2, y: (box.top + box.bottom) / 2 };
+            const rect = getFrameRect(frame);
+            return center.x >= rect.x && center.x <= rect.x + rect.width &&
+                center.y >= rect.y && center.y <= rect.y + rect.height;
+        });
+        return entry ? entry[0] : null;
+    }
+
+    // The source after dropping the given classes where they are now: moved into
+    // the namespace whose frame they were dropped on, or out of their own.
+    // Returns { text, label } or null when no class changes its namespace.
+    function getNamespaceDrop(nodes) {
+        let text = mermaidInput.value;
+        const moves = [];
+        nodes.forEach(node => {
+            const key = getNodeKey(node);
+            // The placeholder of a collapsed namespace is no class of its own
+            if (collapsedSource.placeholders.has(key)) return;
+            const current = getNamespaceOf(node);
+            const target = findNamespaceAt(node);
+            if (target === current) return;
+            text = moveClassToNamespace(text, key, target);
+            moves.push(target ? `Move ${key} into ${target}` : `Move ${key} out of ${current}`);
+        });
+        if (text === mermaidInput.value) return null;
+        return { text, label: moves.length === 1 ? moves[0] : 'Move classes between namespaces' };
+    }
+
+    // --- Collapsing members and namespaces ---
+
+    function getCollapseOptions() {
+        return { memberModes, defaultMode: defaultMemberMode, collapsedNamespaces };
+    }
+
+    // Positions the nodes of a new render may keep (see carryOverPositions): the
+    // previous render's, where the classes of an expanded namespace were, and for
+    // the placeholder of a newly collapsed namespace the middle of its classes
+    function getKnownPositions(previousPositions) {
+        const known = new Map([...hiddenNodePositions, ...previousPositions]);
+        hiddenNodePositions.clear();
+        if (!collapsedSource) return known;
+
+        collapsedSource.placeholders.forEach(({ classes }, key) => {
+            const positions = classes.filter(name => known.has(name)).map(name => known.get(name));
+            if (known.has(key) || positions.length === 0) return;
+            known.set(key, {
+                x: positions.reduce((sum, position) => sum + position.x, 0) / positions.length,
+                y: positions.reduce((sum, position) => sum + position.y, 0) / positions.length
+            });
+        });
+        collapsedSource.hiddenClasses.forEach(key => {
+            if (known.has(key)) hiddenNodePositions.set(key, known.get(key));
+        });
+        return known;
+    }
+
+    // Member modes a class can cycle through: only those that make a difference
+    function getMemberModeCycle(counts) {
+        if (counts.attributes > 0 && counts.methods > 0) return MEMBER_MODES;
+        return ['none', 'all'];
+    }
+
+    const MEMBER_MODE_LABELS = {
+        none: 'all members shown',
+        attributes: 'attributes hidden',
+        methods: 'methods hidden',
+        all: 'members hidden'
+    };
+
+    const placeCollapseToggle = (toggle, box) => {
+        toggle.setAttribute('transform', `translate(${box.x + box.width - 9}, ${box.y + 9})`);
+    };
+
+    // Small round button in the top right corner of a node or namespace frame
+    function createCollapseToggle(parent, symbol, label, data) {
+        const toggle = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        toggle.setAttribute('class', 'collapse-toggle');
+        placeCollapseToggle(toggle, parent.getBBox());
+        // Keyboard users press C on the focused node instead
+        toggle.setAttribute('aria-hidden', 'true');
+        Object.assign(toggle.dataset, data);
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = label;
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.setAttribute('r', 6);
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('dominant-baseline', 'central');
+        text.textContent = symbol;
+        toggle.append(title, circle, text);
+        parent.appendChild(toggle);
+    }
+
+    // Toggles on classes with members, on namespace frames and on the placeholders
+    // of collapsed namespaces. Given the nodes a patch added, only on those.
+    function addCollapseToggles(svg, nodes = null) {
+        if (!collapsedSource) return;
+        (nodes || getRenderedNodes()).forEach(node => {
+            const key = getNodeKey(node);
+            const placeholder = collapsedSource.placeholders.get(key);
+            if (placeholder) {
+                createCollapseToggle(node, '+', `Expand namespace ${placeholder.namespace}`, { namespace: placeholder.namespace });
+                return;
+            }
+            const counts = collapsedSource.members.get(key);
+            if (!counts) return;
+            const cycle = getMemberModeCycle(counts);
+            const mode = memberModes.get(key) || defaultMemberMode;
+            const current = cycle.includes(mode) ? mode : 'all';
+            const next = cycle[(cycle.indexOf(current) + 1) % cycle.length];
+            const symbol = current === 'none' ? '\u2212' : current === 'all' ? '+' : '\u00b1';
+            createCollapseToggle(node, symbol, `${key}: ${MEMBER_MODE_LABELS[current]}. Click for ${MEMBER_MODE_LABELS[next]}`,
+                { node: key, mode: next });
+        });
+        if (nodes) return;
+        // Mermaid gives namespace frames the namespace's name as id
+        svg.querySelectorAll('g.cluster').forEach(cluster => {
+            if (collapsedSource.namespaces.includes(cluster.id)) {
+                createCollapseToggle(cluster, '\u2212', `Collapse namespace ${cluster.id}`, { namespace: cluster.id });
+            }
+        });
+    }
+
+    // Act on a toggle's data: a class's next member mode or a namespace to collapse
+    // or expand. With refocus, keyboard focus returns to the node afterwards.
+    async function toggleCollapse({ node, mode, namespace }, refocus = false) {
+        let focusKey = node;
+        if (node) {
+            memberModes.set(node, mode);
+        } else if (collapsedNamespaces.has(namespace)) {
+            collapsedNamespaces.delete(namespace);
+            focusKey = null;
+        } else {
+            collapsedNamespaces.add(namespace);
+        }
+        await renderMermaid();
+        if (!refocus) return;
+        // A collapsed namespace is focused as its placeholder, an expanded one as its first class
+        const nodes = getRenderedNodes();
+        const target = nodes.find(candidate => getNodeKey(candidate) === focusKey) ||
+            nodes.find(candidate => {
+                const placeholder = collapsedSource && collapsedSource.placeholders.get(getNodeKey(candidate));
+                return placeholder && placeholder.namespace === namespace;
+            }) ||
+            getNodesInReadingOrder()[0];
+        if (target) focusNode(target);
+    }
+
+    // The mode for all classes replaces the ones set per class
+    function setDefaultMemberMode(mode) {
+        defaultMemberMode = mode;
+        memberModes.clear();
+        renderMermaid();
+    }
+
+    function setAllNamespacesCollapsed(collapsed) {
+        collapsedNamespaces.clear();
+        if (collapsed && collapsedSource) {
+            collapsedSource.namespaces.forEach(name => collapsedNamespaces.add(name));
+        }
+        renderMermaid();
+    }
+
+    // --- Visual editing (class diagrams) ---
+
+    // Names given to classes from the diagram (Mermaid accepts more, in backticks)
+    const CLASS_NAME_PATTERN = /^[A-Za-z_]\w*$/;
+    // Member text that would close the class block or read as a relation of its own
+    const UNSAFE_MEMBER_PATTERN = /[{}]|--|\.\./;
+
+    const canEditClasses = () => currentAdapter.type === 'class';
+
+    // The source the shown diagram was rendered from (the default diagram while the editor is empty)
+    const getEditableSource = () => (mermaidInput.value.trim() ? mermaidInput.value : defaultDiagram);
+
+    const isPlaceholder = (key) => Boolean(collapsedSource && collapsedSource.placeholders.has(key));
+
+    const findRenderedNode = (key) => getRenderedNodes().find(node => getNodeKey(node) === key) || null;
+
+    // Render a source changed from the diagram as one undo step. layoutBefore is
+    // the layout the step returns to, when the change also moved nodes.
+    async function applySourceEdit(text, label, layoutBefore = layoutStore) {
+        clearTimeout(debounceTimer);
+        const before = createCheckpoint(mermaidInput.value, layoutBefore);
+        mermaidInput.value = text;
+        restoringCheckpoint = true;
+        try {
+            await renderMermaid();
+        } finally {
+            restoringCheckpoint = false;
+        }
+        recordCheckpointChange(label, before, createCheckpoint());
+    }
+
+    // A new class centered where the background was double-clicked (inside the
+    // namespace whose frame was hit), opened for naming right away
+    async function createClassAt(e, frame) {
+        const text = getEditableSource();
+        const name = getUnusedClassName(text, 'NewClass');
+        let edited = addClass(text, name);
+        if (frame) edited = moveClassToNamespace(edited, name, frame.name);
+
+        const layoutBefore = new Map(layoutStore);
+        // Node positions are translates within their nodes group
+        const group = frame ? frame.members[0].parentNode : mermaidOutput.querySelector('svg g.nodes');
+        if (group) layoutStore.set(name, clientToLocal(e, group));
+        await applySourceEdit(edited, `Add class ${name}`, layoutBefore);
+
+        const node = findRenderedNode(name);
+        if (node) {
+            setSelection([node]);
+            openClassEditor(node);
+        }
+    }
+
+    // Edit a class in place: its name on the first line and one member per line
+    function openClassEditor(node) {
+        const key = getNodeKey(node);
+        if (isPlaceholder(key)) return;
+        const members = (parseClassSource(getEditableSource()).members.get(key) || []).map(member => member.text);
+        const areaRect = classEditor.parentNode.getBoundingClientRect();
+        const nodeRect = node.getBoundingClientRect();
+
+        editedClass = key;
+        classEditor.value = [key, ...members].join('\n');
+        classEditor.rows = members.length + 2;
+        classEditor.style.left = `${nodeRect.left - areaRect.left}px`;
+        classEditor.style.top = `${nodeRect.top - areaRect.top}px`;
+        classEditor.style.minWidth = `${nodeRect.width}px`;
+        classEditor.hidden = false;
+        classEditor.focus();
+        classEditor.setSelectionRange(0, key.length);
+    }
+
+    // Hide the class editor, applying its text with commit. With refocus (closed
+    // from the keyboard), focus returns to the class.
+    function closeClassEditor(commit, refocus = false) {
+        if (editedClass === null) return;
+        const key = editedClass;
+        // Cleared first: moving the focus away blurs the editor, which closes it too
+        editedClass = null;
+        const node = findRenderedNode(key);
+        if (refocus && node) focusNode(node);
+        classEditor.hidden = true;
+        if (commit) applyClassEdit(key, classEditor.value);
+    }
+
+    // Rename the class and set its members from the class editor's text
+    function applyClassEdit(key, value) {
+        const [name, ...members] = value.split('\n').map(line => line.trim());
+        const text = getEditableSource();
+        if (!CLASS_NAME_PATTERN.test(name)) {
+            showStatus(`"${name}" cannot be used as a class name: use letters, digits and underscores, starting with a letter`, 'error');
+            return;
+        }
+        if (name !== key && getUnusedClassName(text, name) !== name) {
+            showStatus(`There is already a class named ${name}`, 'error');
+            return;
+        }
+        const unsafe = members.find(member => UNSAFE_MEMBER_PATTERN.test(member));
+        if (unsafe) {
+            showStatus(`"${unsafe}" cannot be used as a member: braces and relation arrows (-- or ..) are not allowed`, 'error');
+            return;
+        }
+        let edited = setClassMembers(text, key, members.filter(Boolean));
+        if (name !== key) edited = renameClass(edited, key, name);
+        if (edited === text) return;
+
+        const layoutBefore = new Map(layoutStore);
+        if (name !== key) {
+            // The renamed class stays where it is, selected, pinned and collapsed as before
+            const node = findRenderedNode(key);
+            if (node) layoutStore.set(name, getNodeTransform(node));
+            layoutStore.delete(key);
+            [selectedKeys, pinnedKeys].forEach(keys => {
+                if (keys.delete(key)) keys.add(name);
+            });
+            if (memberModes.has(key)) {
+                memberModes.set(name, memberModes.get(key));
+                memberModes.delete(key);
+            }
+        }
+        applySourceEdit(edited, name !== key ? `Rename ${key} to ${name}` : `Edit members of ${key}`, layoutBefore);
+    }
+
+    // Handle in the bottom right corner of each class, dragged onto another class to relate them
+    function addRelationHandles(nodes = getRenderedNodes()) {
+        if (!canEditClasses()) return;
+        nodes.forEach(node => {
+            if (isPlaceholder(getNodeKey(node))) return;
+            const box = node.getBBox();
+            const handle = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            handle.setAttribute('class', 'relation-handle');
+            handle.setAttribute('transform', `translate(${box.x + box.width - 9}, ${box.y + box.height - 9})`);
+            handle.setAttribute('aria-hidden', 'true');
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = 'Drag onto another class to add a relation';
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('r', 5);
+            handle.append(title, circle);
+            node.appendChild(handle);
+        });
+    }
+
+    // A line from the class to the pointer shows the relation being drawn
+    function startRelationDrag(e, node) {
+        e.preventDefault();
+        e.stopPropagation();
+        const group = node.parentNode;
+        const start = getNodeCenterPosition(node);
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('class', 'relation-preview');
+        line.setAttribute('x1', start.x);
+        line.setAttribute('y1', start.y);
+        line.setAttribute('x2', start.x);
+        line.setAttribute('y2', start.y);
+        group.appendChild(line);
+        relationDrag = { node, group, line, target: null, pointerId: e.pointerId };
+    }
+
+    // The class under the pointer that a relation can be drawn to
+    function findRelationTarget(e) {
+        const element = root.elementFromPoint(e.clientX, e.clientY);
+        const node = element ? element.closest('g.node') : null;
+        if (!node || node === relationDrag.node || !mermaidOutput.contains(node) || isPlaceholder(getNodeKey(node))) return null;
+        return node;
+    }
+
+    function updateRelationDrag(e) {
+        const end = clientToLocal(e, relationDrag.group);
+        relationDrag.line.setAttribute('x2', end.x);
+        relationDrag.line.setAttribute('y2', end.y);
+        const target = findRelationTarget(e);
+        if (target === relationDrag.target) return;
+        if (relationDrag.target) relationDrag.target.classList.remove('relation-target');
+        if (target) target.classList.add('relation-target');
+        relationDrag.target = target;
+    }
+
+    // Dropped on another class: ask for the type of the relation
+    function finishRelationDrag(e) {
+        const { node, line, target } = relationDrag;
+        relationDrag = null;
+        line.remove();
+        if (target) target.classList.remove('relation-target');
+        if (e.type === 'pointercancel' || !target) return;
+        openRelationPicker(getNodeKey(node), getNodeKey(target), e.clientX, e.clientY);
+    }
+
+    function openRelationPicker(source, target, clientX, clientY) {
+        const areaRect = relationPicker.parentNode.getBoundingClientRect();
+        pendingRelation = { source, target };
+        relationPicker.setAttribute('aria-label', `Relation from ${source} to ${target}`);
+        relationPicker.style.left = `${clientX - areaRect.left}px`;
+        relationPicker.style.top = `${clientY - areaRect.top}px`;
+        relationPicker.hidden = false;
+        relationPicker.querySelector('button').focus();
+    }
+
+    function closeRelationPicker() {
+        pendingRelation = null;
+        relationPicker.hidden = true;
+    }
+
+    // Delete the selected relation, or the selected classes with everything said about them
+    function deleteSelection() {
+        const text = getEditableSource();
+        const connection = selectedEdgeId !== null ? edgeConnections.get(selectedEdgeId) : null;
+        if (connection) {
+            const line = getRelationLine(connection, text);
+            if (line === null) {
+                showStatus('This relation is drawn to a collapsed namespace; expand it to delete the relation', 'warning');
+                return;
+            }
+            applySourceEdit(removeRelation(text, line),
+                `Delete relation ${getNodeKey(connection.source)} - ${getNodeKey(connection.target)}`);
+            return;
+        }
+        // A collapsed namespace's placeholder is no class of its own
+        const keys = Array.from(selectedKeys).filter(key => !isPlaceholder(key));
+        if (keys.length === 0) return;
+        const edited = keys.reduce((current, key) => removeClass(current, key), text);
+        selectedKeys.clear();
+        applySourceEdit(edited, keys.length === 1 ? `Delete ${keys[0]}` : `Delete ${keys.length} classes`);
+    }
+
+    // --- Minimap ---
+
+    // Redraw the minimap once per frame, however many changes ask for it
+    function scheduleMinimapUpdate() {
+        if (minimapFrame !== null || !minimapPanel.open) return;
+        minimapFrame = requestAnimationFrame(() => {
+            minimapFrame = null;
+            minimap.draw(getMinimapScene());
+        });
+    }
+
+    // Nodes, edges and the visible region in viewport coordinates, for the minimap
+    function getMinimapScene() {
+        const svg = mermaidOutput.querySelector('svg');
+        const viewport = svg ? svg.querySelector('g.svg-pan-zoom_viewport') : null;
+        if (!viewport || !panZoomInstance) return null;
+
+        // Elements sit in nested groups; their screen matrices relative to the viewport's
+        const screenToViewport = viewport.getScreenCTM().inverse();
+        const matrixOf = (element) => screenToViewport.multiply(element.getScreenCTM());
+        const nodes = getRenderedNodes().map(node => {
+            const bbox = node.getBBox();
+            const topLeft = new DOMPoint(bbox.x, bbox.y).matrixTransform(matrixOf(node));
+            const bottomRight = new DOMPoint(bbox.x + bbox.width, bbox.y + bbox.height).matrixTransform(matrixOf(node));
+            return {
+                x: topLeft.x,
+                y: topLeft.y,
+                width: bottomRight.x - topLeft.x,
+                height: bottomRight.y - topLeft.y,
+                selected: node.classList.contains('selected'),
+                dimmed: node.classList.contains('dimmed')
+            };
+        });
+        const edges = Array.from(edgeConnections.values(), connection => ({
+            d: connection.edge.getAttribute('d'),
+            matrix: matrixOf(connection.edge),
+            dimmed: connection.edge.classList.contains('dimmed')
+        }));
+
+        const visible = svg.getBoundingClientRect();
+        const topLeft = new DOMPoint(visible.left, visible.top).matrixTransform(screenToViewport);
+        const bottomRight = new DOMPoint(visible.right, visible.bottom).matrixTransform(screenToViewport);
+        return {
+            bounds: getDiagramBounds(viewport),
+            view: { x: topLeft.x, y: topLeft.y, width: bottomRight.x - topLeft.x, height: bottomRight.y - topLeft.y },
+            nodes,
+            edges,
+            dark: darkModeToggle.checked
+        };
+    }
+
+    // Pan the main view so the given viewport point is in its middle
+    function centerViewOn(point) {
+        const svg = mermaidOutput.querySelector('svg');
+        const viewport = svg ? svg.querySelector('g.svg-pan-zoom_viewport') : null;
+        if (!viewport || !panZoomInstance) return;
+        const view = svg.getBoundingClientRect();
+        const target = new DOMPoint(point.x, point.y).matrixTransform(viewport.getScreenCTM());
+        const screenToSvg = svg.getScreenCTM().inverse();
+        panZoomInstance.panBy({
+            x: ((view.left + view.right) / 2 - target.x) * screenToSvg.a,
+            y: ((view.top + view.bottom) / 2 - target.y) * screenToSvg.d
+        });
+    }
+
+    // --- Editor and diagram linking ---
+
+    // Redraw the layer behind the editor text: linked lines and the error marker
+    function updateEditorBackdrop() {
+        const lines = document.createElement('div');
+        lines.className = 'editor-lines';
+        mermaidInput.value.split('\n').forEach((text, index) => {
+            const line = document.createElement('div');
+            line.className = 'editor-line';
+            line.classList.toggle('linked', linkedLines.has(index));
+            if (editorError && editorError.line === index) {
+                // Underline the reported columns, or the whole line without them
+                const start = Math.min(editorError.column !== null ? editorError.column : 0, text.length);
+                const end = editorError.endColumn !== null && editorError.endColumn > start ? editorError.endColumn : text.length;
+                const marker = document.createElement('span');
+                marker.className = 'editor-error';
+                marker.textContent = text.slice(start, end) || ' ';
+                line.classList.add('error');
+                line.append(text.slice(0, start), marker, text.slice(end));
+            } else {
+                line.textContent = text || ' ';
+            }
+            lines.appendChild(line);
+        });
+        editorBackdrop.replaceChildren(lines);
+        syncEditorScroll();
+        mermaidInput.setAttribute('aria-invalid', editorError ? 'true' : 'false');
+    }
+
+    function syncEditorScroll() {
+        editorBackdrop.scrollTop = mermaidInput.scrollTop;
+        editorBackdrop.scrollLeft = mermaidInput.scrollLeft;
+    }
+
+    // The class source as rendered, with collapsed members and namespaces
+    // rewritten; it has the same lines as the editor's text
+    function parseRenderedClassSource(text) {
+        return parseClassSource(collapseClassSource(text, getCollapseOptions()).text);
+    }
+
+    // Source lines of a node: the class block, member and annotation lines (or,
+    // for classes only used in relations and other diagram types, every line naming it).
+    // A collapsed namespace's placeholder stands for the whole namespace block.
+    function getSourceLinesForNode(node) {
+        const text = mermaidInput.value;
+        const key = getNodeKey(node);
+        if (currentAdapter.type === 'class') {
+            const placeholder = collapsedSource && collapsedSource.placeholders.get(key);
+            if (placeholder) return placeholder.lines;
+            const { classes, relations } = parseRenderedClassSource(text);
+            if (classes.has(key)) return classes.get(key);
+            return relations
+                .filter(relation => relation.source === key || relation.target === key)
+                .map(relation => relation.line);
+        }
+        return findLinesWithWords(text, [key]);
+    }
+
+    // Source line of a class relation (relations are parsed in source order), or
+    // the lines naming both ends of an edge
+    function getSourceLinesForEdge(connection) {
+        const line = getRelationLine(connection, mermaidInput.value);
+        if (line !== null) return [line];
+        return findLinesWithWords(mermaidInput.value, [getNodeKey(connection.source), getNodeKey(connection.target)]);
+    }
+
+    // Line of the given source that declares a class relation, or null (also for
+    // relations rerouted to a collapsed namespace)
+    function getRelationLine(connection, text) {
+        if (!connection.relation || !diagramModel) return null;
+        const declared = parseRenderedClassSource(text).relations[diagramModel.indexOf(connection.relation)];
+        if (declared && declared.source === getNodeKey(connection.source) && declared.target === getNodeKey(connection.target)) {
+            return declared.line;
+        }
+        return null;
+    }
+
+    // The element declared on a source line: { node } or { connection }, or null
+    function findElementForLine(line) {
+        const text = mermaidInput.value;
+        const nodesByKey = new Map(getRenderedNodes().map(node => [getNodeKey(node), node]));
+        const connections = Array.from(edgeConnections.values());
+
+        if (currentAdapter.type === 'class') {
+            const placeholder = collapsedSource && Array.from(collapsedSource.placeholders)
+                .find(([key, { lines }]) => lines.includes(line) && nodesByKey.has(key));
+            if (placeholder) return { node: nodesByKey.get(placeholder[0]) };
+            const { classes, relations } = parseRenderedClassSource(text);
+            const relationIndex = relations.findIndex(relation => relation.line === line);
+            if (relationIndex !== -1) {
+                const relation = diagramModel ? diagramModel[relationIndex] : null;
+                const connection = connections.find(candidate => relation && candidate.relation === relation);
+                return connection ? { connection } : null;
+            }
+            const declared = Array.from(classes).find(([, lines]) => lines.includes(line));
+            return declared && nodesByKey.has(declared[0]) ? { node: nodesByKey.get(declared[0]) } : null;
+        }
+
+        // A line naming both ends of an edge declares the edge, otherwise the node it names
+        const content = text.split('\n')[line] || '';
+        const connection = connections.find(candidate => findLinesWithWords(content,
+            [getNodeKey(candidate.source), getNodeKey(candidate.target)]).length > 0);
+        if (connection) return { connection };
+        const key = Array.from(nodesByKey.keys()).find(candidate => findLinesWithWords(content, [candidate]).length > 0);
+        return key ? { node: nodesByKey.get(key) } : null;
+    }
+
+    // Select the first block of the given lines in the editor (without taking
+    // focus from the diagram) and mark all of them
+    function selectSourceLines(lines) {
+        linkedLines = new Set(lines);
+        updateEditorBackdrop();
+        if (lines.length === 0) return;
+
+        const first = Math.min(...lines);
+        let last = first;
+        while (linkedLines.has(last + 1)) last++;
+        const { start, end } = lineRangeOffsets(mermaidInput.value, first, last);
+        mermaidInput.setSelectionRange(start, end);
+        const lineHeight = parseFloat(getComputedStyle(mermaidInput).lineHeight);
+        mermaidInput.scrollTop = Math.max(0, first * lineHeight - mermaidInput.clientHeight / 3);
+    }
+
+    // Highlight the node or edge declared on the caret's line
+    function highlightDeclarationAtCaret() {
+        mermaidOutput.querySelectorAll('.source-linked').forEach(element => element.classList.remove('source-linked'));
+        if (!currentAdapter.draggable || root.activeElement !== mermaidInput) return;
+
+        const target = findElementForLine(lineAtOffset(mermaidInput.value, mermaidInput.selectionStart));
+        if (!target) return;
+        if (target.node) {
+            target.node.classList.add('source-linked');
+            revealNode(target.node);
+        } else {
+            [target.connection.edge, target.connection.label].filter(Boolean)
+                .forEach(element => element.classList.add('source-linked'));
+        }
+    }
+
+    // Keep the last good diagram and point at the error in the editor instead
+    function showRenderError(error, definition) {
+        // Line numbers refer to the editor text, unless it was empty and the default diagram was shown
+        editorError = mermaidInput.value.trim() ? locateError(error, mermaidInput.value) : null;
+        updateEditorBackdrop();
+
+        // Parse errors quote the source around the error; their last line says what was expected
+        const messageLines = String(error.message || error).split('\n').filter(line => line.trim());
+        const summary = error.hash ? messageLines[messageLines.length - 1] : messageLines[0];
+        let position = '';
+        if (editorError) {
+            position = `line ${editorError.line + 1}` +
+                (editorError.column !== null ? `, column ${editorError.column + 1}` : '') + ': ';
+        }
+        showStatus(`Error rendering diagram, ${position}${summary}`, 'error');
+        renderErrorVisible = true;
+        // Problems of a layout loaded for this render must not be reported against a later one
+        pendingLayoutProblems = null;
+        emit('error', { error, line: editorError ? editorError.line : null });
+
+        if (!mermaidOutput.querySelector('svg')) {
+            // Nothing rendered yet that could stay visible
+            mermaidOutput.innerHTML = `<p style="color: red;">Error rendering diagram:</p><pre style="color: red; white-space: pre-wrap;"></pre>`;
+            mermaidOutput.querySelector('pre').textContent = error.message || error;
+            // Add the invalid definition for context
+            const definitionPre = document.createElement('pre');
+            definitionPre.style.color = 'orange';
+            definitionPre.style.whiteSpace = 'pre-wrap';
+            definitionPre.textContent = definition;
+            mermaidOutput.appendChild(document.createElement('hr'));
+            mermaidOutput.appendChild(document.createTextNode('Attempted Definition:'));
+            mermaidOutput.appendChild(definitionPre);
+        }
+    }
+
+    function clearRenderError() {
+        editorError = null;
+        if (renderErrorVisible) {
+            showStatus('');
+        }
+    }
+
+    // --- Selection ---
+
+    function getSelectedNodes() {
+        return getRenderedNodes().filter(node => selectedKeys.has(getNodeKey(node)));
+    }
+
+    // Sync the highlight with the selected keys and edge, dropping those that no longer exist
+    function refreshSelection() {
+        const nodes = getRenderedNodes();
+        const presentKeys = new Set(nodes.map(getNodeKey));
+        selectedKeys.forEach(key => {
+            if (!presentKeys.has(key)) selectedKeys.delete(key);
+        });
+        nodes.forEach(node => {
+            node.classList.toggle('selected', selectedKeys.has(getNodeKey(node)));
+        });
+        if (!edgeConnections.has(selectedEdgeId)) selectedEdgeId = null;
+        edgeConnections.forEach((connection, edgeId) => {
+            connection.edge.classList.toggle('edge-selected', edgeId === selectedEdgeId);
+        });
+        // Focus mode follows the selection
+        if (focusToggle.checked) updateFocus();
+        scheduleMinimapUpdate();
+    }
+
+    // Selecting nodes deselects the edge, and the other way round
+    function setSelection(nodes) {
+        selectedKeys.clear();
+        selectedEdgeId = null;
+        nodes.forEach(node => selectedKeys.add(getNodeKey(node)));
+        refreshSelection();
+    }
+
+    function addToSelection(nodes) {
+        selectedEdgeId = null;
+        nodes.forEach(node => selectedKeys.add(getNodeKey(node)));
+        refreshSelection();
+    }
+
+    function selectEdge(connection) {
+        selectedKeys.clear();
+        selectedEdgeId = connection.id;
+        refreshSelection();
+    }
+
+    function toggleNodeSelection(node) {
+        selectedEdgeId = null;
+        const key = getNodeKey(node);
+        if (selectedKeys.has(key)) {
+            selectedKeys.delete(key);
+        } else {
+            selectedKeys.add(key);
+        }
+        refreshSelection();
+    }
+
+    function clearSelection() {
+        selectedKeys.clear();
+        selectedEdgeId = null;
+        refreshSelection();
+    }
+
+    // Left-drag on the background draws a selection rectangle (in screen space,
+    // so it is independent of the pan/zoom transform)
+    function handleBackgroundPointerDown(e) {
+        e.preventDefault();
+        const element = document.createElement('div');
+        element.className = 'selection-rect';
+        element.hidden = true;
+        mermaidOutput.appendChild(element);
+
+        selectionBox = {
+            element: element,
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            additive: e.shiftKey || e.ctrlKey || e.metaKey,
+            moved: false
+        };
+    }
+
+    function getSelectionBoxRect(e) {
+        return {
+            left: Math.min(selectionBox.startX, e.clientX),
+            top: Math.min(selectionBox.startY, e.clientY),
+            right: Math.max(selectionBox.startX, e.clientX),
+            bottom: Math.max(selectionBox.startY, e.clientY)
+        };
+    }
+
+    function updateSelectionBox(e) {
+        const rect = getSelectionBoxRect(e);
+        // Ignore tiny movements, so a click on the background stays a click
+        if (!selectionBox.moved && rect.right - rect.left < 3 && rect.bottom - rect.top < 3) return;
+        selectionBox.moved = true;
+
+        const outputRect = mermaidOutput.getBoundingClientRect();
+        const { style } = selectionBox.element;
+        selectionBox.element.hidden = false;
+        style.left = `${rect.left - outputRect.left}px`;
+        style.top = `${rect.top - outputRect.top}px`;
+        style.width = `${rect.right - rect.left}px`;
+        style.height = `${rect.bottom - rect.top}px`;
+    }
+
+    function finishSelectionBox(e) {
+        const { element, moved, additive } = selectionBox;
+        const rect = getSelectionBoxRect(e);
+        element.remove();
+        selectionBox = null;
+
+        if (!moved) {
+            // Plain click on the background clears the selection
+            if (!additive) clearSelection();
+            return;
+        }
+
+        const hits = getRenderedNodes().filter(node => {
+            const nodeRect = node.getBoundingClientRect();
+            return nodeRect.left < rect.right && nodeRect.right > rect.left &&
+                nodeRect.top < rect.bottom && nodeRect.bottom > rect.top;
+        });
+        if (additive) {
+            addToSelection(hits);
+        } else {
+            setSelection(hits);
+        }
+    }
+
+    function cancelSelectionBox() {
+        if (selectionBox) {
+            selectionBox.element.remove();
+            selectionBox = null;
+        }
+    }
+
+    // --- Edge editing ---
+
+    // The edge (or edge label) an event target belongs to
+    function findEdgeTarget(element) {
+        for (const connection of edgeConnections.values()) {
+            if (element === connection.hitPath || element === connection.edge) {
+                return { connection, part: 'path' };
+            }
+            if (connection.label && connection.label.contains(element)) {
+                return { connection, part: 'label' };
+            }
+        }
+        return null;
+    }
+
+    // Pointer position in the coordinate system of the given SVG element
+    function clientToLocal(e, element) {
+        const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(element.getScreenCTM().inverse());
+        return { x: point.x, y: point.y };
+    }
+
+    // Grabbing a label moves it; grabbing the path moves the curve (curved edges)
+    // or drags a bend point, either an existing one near the pointer or a new one
+    function handleEdgePointerDown(e, { connection, part }) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const override = edgeOverrides.get(connection.id) || {};
+        const pointer = clientToLocal(e, connection.edge);
+        edgeDrag = {
+            connection: connection,
+            part: part,
+            before: edgeOverrides.get(connection.id) || null,
+            pointerId: e.pointerId,
+            startClientX: e.clientX,
+            startClientY: e.clientY,
+            pointer: pointer,
+            bendIndex: -1,
+            insertAt: -1,
+            grabOffset: { x: 0, y: 0 },
+            moved: false,
+            // Whether dragging a path that cannot be bent has been explained
+            hinted: false,
+            frame: null
+        };
+        if (part === 'label') {
+            // Keep the spot where the label was grabbed under the pointer
+            const { width } = connection.label.getBBox();
+            const transform = getNodeTransform(connection.label);
+            edgeDrag.grabOffset = { x: pointer.x - (transform.x + width / 2), y: pointer.y - transform.y };
+            return;
+        }
+
+        if (connection.source === connection.target || edgeStyle === 'orthogonal') {
+            // Loops and orthogonal routes are always automatic, only their labels move;
+            // trying to drag the path says so (see updateEdgeDrag), a click does not
+            edgeDrag.part = 'fixed';
+            return;
+        }
+
+        const from = getNodeCenterPosition(connection.source);
+        const to = getNodeCenterPosition(connection.target);
+        const bends = (override.bends || []).map(bend => fromEdgeFrame(bend, from, to));
+        const grabRadius = 8 / connection.edge.getScreenCTM().a; // Screen pixels in local units
+        const nearBend = bends.findIndex(bend => Math.hypot(bend.x - pointer.x, bend.y - pointer.y) <= grabRadius);
+
+        if (nearBend !== -1) {
+            edgeDrag.part = 'bend';
+            edgeDrag.bendIndex = nearBend;
+        } else if (bends.length === 0 && edgeStyle === 'curved') {
+            edgeDrag.part = 'control';
+        } else {
+            // New bend point on the segment closest to the pointer
+            const points = [from, ...bends, to];
+            let closest = Infinity;
+            points.slice(1).forEach((point, index) => {
+                const distance = distanceToSegment(pointer, points[index], point);
+                if (distance < closest) {
+                    closest = distance;
+                    edgeDrag.insertAt = index;
+                }
+            });
+            edgeDrag.part = 'bend';
+        }
+    }
+
+    function updateEdgeDrag(e) {
+        // Ignore tiny movements, so a click (or double-click) does not bend the edge
+        if (!edgeDrag.moved && Math.abs(e.clientX - edgeDrag.startClientX) < 3 &&
+            Math.abs(e.clientY - edgeDrag.startClientY) < 3) {
+            return;
+        }
+        if (edgeDrag.part === 'fixed') {
+            if (!edgeDrag.hinted) {
+                edgeDrag.hinted = true;
+                showStatus('Only straight and curved edges can be bent; drag the label to move it', 'info');
+            }
+            return;
+        }
+        edgeDrag.moved = true;
+        edgeDrag.pointer = clientToLocal(e, edgeDrag.connection.edge);
+        if (!edgeDrag.frame) {
+            edgeDrag.frame = requestAnimationFrame(applyEdgeDrag);
+        }
+    }
+
+    // Turn the latest pointer position into the edge's override and redraw it
+    function applyEdgeDrag() {
+        if (!edgeDrag) return;
+        edgeDrag.frame = null;
+        const { connection, part, pointer } = edgeDrag;
+        const override = { ...(edgeOverrides.get(connection.id) || {}) };
+        const from = getNodeCenterPosition(connection.source);
+        const to = getNodeCenterPosition(connection.target);
+
+        if (part === 'label') {
+            const anchor = { x: pointer.x - edgeDrag.grabOffset.x, y: pointer.y - edgeDrag.grabOffset.y };
+            const position = projectOntoPath(connection.edge, anchor);
+            const frame = getPathFrame(connection.edge, position);
+            const offset = (anchor.x - frame.point.x) * frame.normal.x + (anchor.y - frame.point.y) * frame.normal.y;
+            override.label = { position, offset };
+        } else if (part === 'control') {
+            // Place the control point so the middle of the curve runs through the pointer
+            const length = connection.edge.getTotalLength();
+            const start = connection.edge.getPointAtLength(0);
+            const end = connection.edge.getPointAtLength(length);
+            override.control = toEdgeFrame({
+                x: 2 * pointer.x - (start.x + end.x) / 2,
+                y: 2 * pointer.y - (start.y + end.y) / 2
+            }, from, to);
+        } else {
+            const bends = (override.bends || []).slice();
+            if (edgeDrag.bendIndex === -1) {
+                edgeDrag.bendIndex = edgeDrag.insertAt;
+                bends.splice(edgeDrag.insertAt, 0, null);
+            }
+            bends[edgeDrag.bendIndex] = toEdgeFrame(pointer, from, to);
+            override.bends = bends;
+        }
+        edgeOverrides.set(connection.id, override);
+        updateEdgePosition(connection);
+    }
+
+    function finishEdgeDrag() {
+        if (edgeDrag.frame) {
+            cancelAnimationFrame(edgeDrag.frame);
+        }
+        if (edgeDrag.moved) {
+            applyEdgeDrag();
+            recordEdgeChange(edgeDrag.part === 'label' ? 'Move edge label' : 'Bend edge',
+                edgeDrag.connection.id, edgeDrag.before, edgeOverrides.get(edgeDrag.connection.id));
+        }
+        edgeDrag = null;
+    }
+
+    // Drop all manual geometry of an edge
+    function resetEdge(connection) {
+        const before = edgeOverrides.get(connection.id);
+        if (!before) return;
+        setEdgeOverride(connection.id, null);
+        recordEdgeChange('Reset edge', connection.id, before, null);
+    }
+
+    function setEdgeOverride(edgeId, override) {
+        if (override) {
+            edgeOverrides.set(edgeId, override);
+        } else {
+            edgeOverrides.delete(edgeId);
+        }
+        const connection = edgeConnections.get(edgeId);
+        if (connection) {
+            updateEdgePosition(connection);
+        }
+    }
+
+    function recordEdgeChange(label, edgeId, before, after) {
+        layoutHistory.push({
+            label: label,
+            undo: () => setEdgeOverride(edgeId, before),
+            redo: () => setEdgeOverride(edgeId, after)
+        });
+    }
+
+    // Manual edge points are stored relative to the two node centers, as
+    // fractions along (u) and across (v) the line between them, so they follow
+    // when either node moves
+    function toEdgeFrame(point, from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const lengthSquared = dx * dx + dy * dy || 1;
+        const px = point.x - from.x;
+        const py = point.y - from.y;
+        return { u: (px * dx + py * dy) / lengthSquared, v: (dx * py - dy * px) / lengthSquared };
+    }
+
+    function fromEdgeFrame({ u, v }, from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        return { x: from.x + dx * u - dy * v, y: from.y + dy * u + dx * v };
+    }
+
+    function distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0
+            : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+        return Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t));
+    }
+
+    // Point and unit normal at a fraction of a path's length
+    function getPathFrame(path, position) {
+        const length = path.getTotalLength();
+        const at = length * Math.max(0, Math.min(1, position));
+        const point = path.getPointAtLength(at);
+        const ahead = path.getPointAtLength(Math.min(length, at + 1));
+        const behind = path.getPointAtLength(Math.max(0, at - 1));
+        const tangent = unitVector(ahead.x - behind.x, ahead.y - behind.y);
+        return { point: { x: point.x, y: point.y }, normal: { x: -tangent.y, y: tangent.x } };
+    }
+
+    // Fraction of a path's length at the path point closest to the given point
+    function projectOntoPath(path, point) {
+        const length = path.getTotalLength();
+        if (length === 0) return 0;
+        const samples = 100;
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let index = 0; index <= samples; index++) {
+            const candidate = path.getPointAtLength(length * index / samples);
+            const distance = Math.hypot(candidate.x - point.x, candidate.y - point.y);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = index / samples;
+            }
+        }
+        return best;
+    }
+
+    // Set an edge's path and keep its grab area in sync
+    function setEdgePath(connection, d) {
+        connection.edge.setAttribute('d', d);
+        if (connection.hitPath) {
+            connection.hitPath.setAttribute('d', d);
+        }
+    }
+
+    // Put a dragged label where the user left it: at a fraction of the path
+    // length, moved sideways by a fixed distance
+    function applyLabelOverride(connection) {
+        const override = edgeOverrides.get(connection.id);
+        if (!override || !override.label || !connection.label) return;
+        const frame = getPathFrame(connection.edge, override.label.position);
+        let labelBBox = { width: 10, height: 5 };
+        try {
+            labelBBox = connection.label.getBBox();
+        } catch (e) { /* Ignore error */ }
+        const x = frame.point.x + frame.normal.x * override.label.offset;
+        const y = frame.point.y + frame.normal.y * override.label.offset;
+        connection.label.setAttribute('transform', `translate(${x - labelBBox.width / 2}, ${y})`);
+    }
+
+    // --- Grid, guides and alignment ---
+
+    function getGridSpacing() {
+        const spacing = parseFloat(gridSpacingInput.value);
+        return spacing > 0 ? spacing : 20;
+    }
+
+    // Draw (or remove) the background grid inside the pan/zoom viewport, so it
+    // scales and moves with the diagram
+    function updateGridLayer() {
+        const svg = mermaidOutput.querySelector('svg');
+        const viewport = svg ? svg.querySelector('g.svg-pan-zoom_viewport') : null;
+        if (!viewport) return;
+
+        const existing = viewport.querySelector('g.grid-layer');
+        if (existing) existing.remove();
+        if (!snapToggle.checked || !currentAdapter.draggable) return;
+
+        const spacing = getGridSpacing();
+        const ns = 'http://www.w3.org/2000/svg';
+        const layer = document.createElementNS(ns, 'g');
+        layer.setAttribute('class', 'grid-layer');
+
+        const pattern = document.createElementNS(ns, 'pattern');
+        pattern.setAttribute('id', `${svg.id}-grid`);
+        pattern.setAttribute('width', spacing);
+        pattern.setAttribute('height', spacing);
+        pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+        const lines = document.createElementNS(ns, 'path');
+        lines.setAttribute('d', `M${spacing},0 L0,0 0,${spacing}`);
+        pattern.appendChild(lines);
+
+        const background = document.createElementNS(ns, 'rect');
+        const extent = 50000;
+        background.setAttribute('x', -extent);
+        background.setAttribute('y', -extent);
+        background.setAttribute('width', extent * 2);
+        background.setAttribute('height', extent * 2);
+        background.setAttribute('fill', `url(#${svg.id}-grid)`);
+
+        layer.appendChild(pattern);
+        layer.appendChild(background);
+        viewport.insertBefore(layer, viewport.firstChild);
+    }
+
+    // Show alignment guide lines next to the nodes (same coordinate system)
+    function drawGuides(container, lines) {
+        let group = container.querySelector(':scope > g.alignment-guides');
+        if (!group) {
+            group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('class', 'alignment-guides');
+            container.appendChild(group);
+        }
+        group.replaceChildren(...lines.map(({ x1, y1, x2, y2 }) => {
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            return line;
+        }));
+    }
+
+    function clearGuides() {
+        mermaidOutput.querySelectorAll('g.alignment-guides').forEach(group => group.remove());
+    }
+
+    // Move the selected nodes by per-node offsets as one undoable step
+    function moveSelectionBy(offsets, label) {
+        const nodes = getSelectedNodes();
+        const before = capturePositions(nodes);
+        const after = new Map();
+        before.forEach((position, key) => {
+            const offset = offsets.get(key) || { x: 0, y: 0 };
+            after.set(key, { x: position.x + offset.x, y: position.y + offset.y });
+        });
+        applyPositions(after);
+        recordLayoutChange(label, before, after);
+    }
+
+    function getSelectionRects() {
+        return getSelectedNodes().map(node => ({ key: getNodeKey(node), ...getNodeRect(node) }));
+    }
+
+    function alignSelection(mode) {
+        const rects = getSelectionRects();
+        if (rects.length < 2) {
+            showStatus('Select at least two nodes to align', 'info');
+            return;
+        }
+        moveSelectionBy(alignRects(rects, mode), `Align ${mode}`);
+    }
+
+    function distributeSelection(axis) {
+        const rects = getSelectionRects();
+        if (rects.length < 3) {
+            showStatus('Select at least three nodes to distribute', 'info');
+            return;
+        }
+        moveSelectionBy(distributeRects(rects, axis), `Distribute ${axis}ly`);
+    }
+
+    // --- Pinning and automatic layout ---
+
+    function refreshPins() {
+        const nodes = getRenderedNodes();
+        const presentKeys = new Set(nodes.map(getNodeKey));
+        pinnedKeys.forEach(key => {
+            if (!presentKeys.has(key)) pinnedKeys.delete(key);
+        });
+        nodes.forEach(node => {
+            node.classList.toggle('pinned', pinnedKeys.has(getNodeKey(node)));
+        });
+    }
+
+    // Pin the selected nodes, or unpin them if they are all pinned already
+    function togglePinSelection() {
+        const keys = Array.from(selectedKeys);
+        if (keys.length === 0) {
+            showStatus('Select the nodes to pin first', 'info');
+            return;
+        }
+        const unpin = keys.every(key => pinnedKeys.has(key));
+        keys.forEach(key => {
+            if (unpin) {
+                pinnedKeys.delete(key);
+            } else {
+                pinnedKeys.add(key);
+            }
+        });
+        refreshPins();
+    }
+
+    // Nodes (box centers and sizes) and edges of the rendered diagram, as input
+    // for the layout algorithms
+    function getLayoutGraph() {
+        const nodes = getRenderedNodes().map(node => {
+            const rect = getNodeRect(node);
+            const key = getNodeKey(node);
+            return {
+                key: key,
+                x: rect.centerX,
+                y: rect.centerY,
+                width: rect.width,
+                height: rect.height,
+                pinned: pinnedKeys.has(key)
+            };
+        });
+
+        const edges = [];
+        edgeConnections.forEach(({ source, target, relation }) => {
+            const sourceKey = getNodeKey(source);
+            const targetKey = getNodeKey(target);
+            // Inheritance points up: the class at the triangle marker is the parent
+            if (relation && relation.sourceMarker === 'extension') {
+                edges.push({ source: targetKey, target: sourceKey, upward: true });
+            } else {
+                edges.push({ source: sourceKey, target: targetKey, upward: !!relation && relation.targetMarker === 'extension' });
+            }
+        });
+        return { nodes, edges };
+    }
+
+    // Animate nodes from one set of translates to another, rerouting edges every frame.
+    // Resolves to false if a re-render cancelled the animation.
+    function animatePositions(from, to, duration = 400) {
+        const nodes = getRenderedNodes().filter(node => to.has(getNodeKey(node)));
+        const easeInOut = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+        return new Promise(resolve => {
+            const startTime = performance.now();
+            layoutAnimation = { frame: null, resolve: resolve };
+
+            const step = (now) => {
+                const progress = easeInOut(Math.min(1, (now - startTime) / duration));
+                nodes.forEach(node => {
+                    const key = getNodeKey(node);
+                    const start = from.get(key);
+                    const end = to.get(key);
+                    const x = start.x + (end.x - start.x) * progress;
+                    const y = start.y + (end.y - start.y) * progress;
+                    node.setAttribute('transform', `translate(${x},${y})`);
+                });
+                updateEdgesForNodes(nodes);
+
+                if (progress < 1) {
+                    layoutAnimation.frame = requestAnimationFrame(step);
+                } else {
+                    layoutAnimation = null;
+                    resolve(true);
+                }
+            };
+            layoutAnimation.frame = requestAnimationFrame(step);
+        });
+    }
+
+    // Run one of the automatic layout algorithms over the current diagram
+    async function runAutoLayout(name) {
+        const algorithm = LAYOUT_ALGORITHMS[name];
+        if (!algorithm || !currentAdapter.draggable || layoutAnimation) return;
+
+        const { nodes, edges } = getLayoutGraph();
+        if (nodes.length === 0) return;
+        const centers = algorithm.run(nodes, edges);
+
+        // Convert new box centers into node translates
+        const before = capturePositions();
+        const after = new Map();
+        nodes.forEach(node => {
+            const translate = before.get(node.key);
+            const center = centers.get(node.key);
+            after.set(node.key, {
+                x: translate.x + center.x - node.x,
+                y: translate.y + center.y - node.y
+            });
+        });
+
+        const completed = await animatePositions(before, after);
+        if (!completed) return;
+        applyPositions(after);
+        recordLayoutChange(`Re-layout (${algorithm.label})`, before, after);
+    }
+
+    // Edges touching any of the given nodes, each edge once
+    function getEdgesOfNodes(nodes) {
+        const connections = new Set();
+        nodes.forEach(node => {
+            const edges = nodeEdges.get(node);
+            if (edges) edges.forEach(connection => connections.add(connection));
+        });
+        return connections;
+    }
+
+    // Reroute every edge touching any of the given nodes, each edge only once
+    function updateEdgesForNodes(nodes) {
+        scheduleMinimapUpdate();
+        fitNamespaceFrames();
+        if (edgeStyle === 'orthogonal') {
+            updateOrthogonalEdges(nodes);
+            return;
+        }
+        getEdgesOfNodes(nodes).forEach(updateEdgePosition);
+    }
+
+    // More robust edge update function
+    function updateConnectedEdges(node) {
+        if (!node || !node.id) return;
+        if (edgeStyle === 'orthogonal') {
+            updateOrthogonalEdges([node]);
+            return;
+        }
+        getEdgesOfNodes([node]).forEach(updateEdgePosition);
+    }
+
+    // Helper to get a node's transform values
+    function getNodeTransform(node) {
+        const transformAttr = node.getAttribute('transform') || 'translate(0,0)';
+        const match = transformAttr.match(/translate\(\s*([^,)]+)(?:,\s*([^)]+))?\)/);
+
+        if (match) {
+            return {
+                x: parseFloat(match[1]) || 0,
+                y: parseFloat(match[2]) || 0
+            };
+        }
+
+        return { x: 0, y: 0 };
+    }
+
+    // Helper function to calculate potential connection points on a node's boundary
+    function getTransformedBoundaryPoints(rect, transform) {
+        // Center point
+        const center = {
+            x: rect.x + rect.width / 2 + transform.x,
+            y: rect.y + rect.height / 2 + transform.y
+        };
+        // Mid-points of the rectangle's sides
+        const midTop = { x: center.x, y: rect.y + transform.y };
+        const midBottom = { x: center.x, y: rect.y + rect.height + transform.y };
+        const midLeft = { x: rect.x + transform.x, y: center.y };
+        const midRight = { x: rect.x + rect.width + transform.x, y: center.y };
+
+        return {
+            center: center,
+            // Use boundary points, plus center as a fallback
+            boundaries: [midTop, midBottom, midLeft, midRight, center]
+        };
+    }
+
+    // Update edge position based on node positions using transforms
+    function updateEdgePosition(connection) {
+        const { edge, source, target, originalD, initialSourcePos, initialTargetPos, startClearance, endClearance, label, terminals } = connection;
+
+        if (!edge || !source || !target) {
+            return;
+        }
+        scheduleMinimapUpdate();
+        // Orthogonal routes depend on the other edges (shared sides), so they are
+        // updated together; self-relations keep the regular logic
+        if (edgeStyle === 'orthogonal' && source !== target) {
+            updateOrthogonalEdges([source, target]);
+            return;
+        }
+        if (source === target) {
+            updateSelfLoop(connection);
+            return;
+        }
+        // Manual bend points replace the automatic geometry
+        const override = edgeOverrides.get(connection.id);
+        if (override && override.bends && override.bends.length > 0) {
+            drawBentEdge(connection, override.bends);
+            return;
+        }
+
+        // Get current source and target positions & rectangles
+        const sourceCenter = getNodeCenterPosition(source);
+        const targetCenter = getNodeCenterPosition(target);
+        const sourceRect = getNodeRect(source);
+        const targetRect = getNodeRect(target);
+
+        // Parallel edges leave and enter the boxes side by side
+        const fan = getFanOffset(connection, sourceCenter, targetCenter);
+        let sourceFrom = sourceCenter;
+        let targetFrom = targetCenter;
+        if (fan) {
+            const halfExtent = (rect) => Math.abs(fan.normal.x) * rect.width / 2 + Math.abs(fan.normal.y) * rect.height / 2;
+            const limit = Math.min(halfExtent(sourceRect), halfExtent(targetRect)) * 0.8;
+            const shift = Math.max(-limit, Math.min(limit, fan.slot * FAN_PORT_SPACING));
+            sourceFrom = { x: sourceCenter.x + fan.normal.x * shift, y: sourceCenter.y + fan.normal.y * shift };
+            targetFrom = { x: targetCenter.x + fan.normal.x * shift, y: targetCenter.y + fan.normal.y * shift };
+        }
+
+        // A manually placed curve control point is where both ends aim
+        const control = edgeStyle === 'curved' && override && override.control
+            ? fromEdgeFrame(override.control, sourceCenter, targetCenter)
+            : null;
+        const sourceAim = control || targetFrom;
+        const targetAim = control || sourceFrom;
+
+        // Find intersection points
+        const sourceIntersection = findNodeBoundary(source, sourceFrom, sourceAim);
+        const targetIntersection = findNodeBoundary(target, targetFrom, targetAim);
+
+        let pathStart = sourceIntersection || sourceFrom;
+        let pathEnd = targetIntersection || targetFrom;
+
+
+        // Boundary points and the edge's direction where it leaves them (for terminal labels)
+        const boundaryStart = pathStart;
+        const boundaryEnd = pathEnd;
+        let startDirection, endDirection;
+
+        // Calculate direct vector (used for both straight and curved logic)
+        const dx = pathEnd.x - pathStart.x;
+        const dy = pathEnd.y - pathStart.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+
+        let newPath;
+        let labelX, labelY;
+        let labelBBox = { width: 10, height: 5 }; // Default/fallback
+        if (label) {
+            try {
+                labelBBox = label.getBBox();
+            } catch (e) { /* Ignore error */ }
+        }
+
+        // --- Conditional Path and Label Logic ---
+        // Parallel edges are always curved, so they can be told apart in straight mode too
+        if ((edgeStyle === 'curved' || fan) && length > 0) { // Apply curve logic
+            const midX = (pathStart.x + pathEnd.x) / 2;
+            const midY = (pathStart.y + pathEnd.y) / 2;
+
+            const standardPerpX = -dy;
+            const standardPerpY = dx;
+
+            let perpX, perpY;
+            const isMoreVertical = Math.abs(dy) >= Math.abs(dx);
+            let useStandardPerp = true;
+
+            if (dx >= 0 && dy < 0) { 
+                if (isMoreVertical) useStandardPerp = false;
+            } else if (dx >= 0 && dy >= 0) { 
+                if (!isMoreVertical) useStandardPerp = false;
+            } else if (dx < 0 && dy >= 0) { 
+                if (isMoreVertical) useStandardPerp = false;
+            } else { 
+                if (!isMoreVertical) useStandardPerp = false;
+            }
+
+            if (useStandardPerp) {
+                perpX = -standardPerpX; 
+                perpY = -standardPerpY;
+            } else {
+                perpX = standardPerpX; 
+                perpY = standardPerpY; 
+            }
+
+            const perpLength = Math.sqrt(perpX * perpX + perpY * perpY);
+            const normPerpX = perpLength === 0 ? 0 : perpX / perpLength;
+            const normPerpY = perpLength === 0 ? 0 : perpY / perpLength;
+
+            const curveFactor = 0.15; 
+            const minOffset = 5;
+            const maxOffset = 50;
+            const curveOffset = Math.max(minOffset, Math.min(maxOffset, length * curveFactor));
+
+            let bulgeX = normPerpX * curveOffset;
+            let bulgeY = normPerpY * curveOffset;
+            if (control) {
+                bulgeX = control.x - midX;
+                bulgeY = control.y - midY;
+            } else if (fan) {
+                // One slot per parallel edge along a normal they all share, so the
+                // result does not depend on which way each edge points
+                const offset = (edgeStyle === 'curved' ? curveOffset : 0) + fan.slot * FAN_SPACING;
+                bulgeX = fan.normal.x * offset;
+                bulgeY = fan.normal.y * offset;
+            }
+            const controlX = midX + bulgeX;
+            const controlY = midY + bulgeY;
+
+            // The curve leaves both ends towards its control point
+            startDirection = unitVector(controlX - boundaryStart.x, controlY - boundaryStart.y);
+            endDirection = unitVector(controlX - boundaryEnd.x, controlY - boundaryEnd.y);
+
+            // Adjust endpoints for arrows along the curve
+            if (length > 10) {
+                const dxStartCtrl = controlX - pathStart.x;
+                const dyStartCtrl = controlY - pathStart.y;
+                const lenStartCtrl = Math.sqrt(dxStartCtrl * dxStartCtrl + dyStartCtrl * dyStartCtrl);
+                const unitStartX = lenStartCtrl === 0 ? 0 : dxStartCtrl / lenStartCtrl;
+                const unitStartY = lenStartCtrl === 0 ? 0 : dyStartCtrl / lenStartCtrl;
+
+                pathStart = {
+                    x: pathStart.x + unitStartX * startClearance,
+                    y: pathStart.y + unitStartY * startClearance
+                };
+
+                const dxCtrlEnd = pathEnd.x - controlX;
+                const dyCtrlEnd = pathEnd.y - controlY;
+                const lenCtrlEnd = Math.sqrt(dxCtrlEnd * dxCtrlEnd + dyCtrlEnd * dyCtrlEnd);
+                const unitEndX = lenCtrlEnd === 0 ? 0 : dxCtrlEnd / lenCtrlEnd;
+                const unitEndY = lenCtrlEnd === 0 ? 0 : dyCtrlEnd / lenCtrlEnd;
+
+                pathEnd = {
+                    x: pathEnd.x - unitEndX * endClearance,
+                    y: pathEnd.y - unitEndY * endClearance
+                };
+            }
+
+            newPath = `M${pathStart.x},${pathStart.y} Q${controlX},${controlY} ${pathEnd.x},${pathEnd.y}`;
+
+            // Label position for curve
+            if (label) {
+                // Labels sit on the outer side of the bend
+                const labelSide = bulgeX !== 0 || bulgeY !== 0 ? unitVector(bulgeX, bulgeY) : { x: normPerpX, y: normPerpY };
+                const labelOffsetX = labelSide.x * (labelBBox.height / 2 + 2); 
+                const labelOffsetY = labelSide.y * (labelBBox.height / 2 + 2); 
+                labelX = controlX + labelOffsetX - labelBBox.width / 2;
+                labelY = controlY + labelOffsetY; 
+            }
+
+        } else { // Apply straight line logic
+            startDirection = unitVector(dx, dy);
+            endDirection = unitVector(-dx, -dy);
+
+            // Adjust endpoints for arrows along the straight line
+            if (length > 10) {
+                const unitX = dx / length;
+                const unitY = dy / length;
+
+                pathStart = {
+                    x: pathStart.x + unitX * startClearance,
+                    y: pathStart.y + unitY * startClearance
+                };
+                pathEnd = {
+                    x: pathEnd.x - unitX * endClearance,
+                    y: pathEnd.y - unitY * endClearance
+                };
+            }
+
+            newPath = `M${pathStart.x},${pathStart.y} L${pathEnd.x},${pathEnd.y}`;
+
+            // Label position for straight line (midpoint)
+            if (label) {
+                const midX = (pathStart.x + pathEnd.x) / 2;
+                const midY = (pathStart.y + pathEnd.y) / 2;
+                labelX = midX - labelBBox.width / 2;
+                labelY = midY; // Place vertically centered on the line
+            }
+        }
+
+        setEdgePath(connection, newPath);
+
+        // Update Label Position
+        if (label) {
+            label.setAttribute('transform', `translate(${labelX}, ${labelY})`);
+            applyLabelOverride(connection);
+        } 
+
+        // Keep cardinality labels next to their end of the edge
+        if (terminals && terminals.length > 0) {
+            positionTerminalLabels(terminals, {
+                start: {
+                    point: boundaryStart,
+                    direction: startDirection,
+                    clearance: startClearance
+                },
+                end: {
+                    point: boundaryEnd,
+                    direction: endDirection,
+                    clearance: endClearance
+                }
+            });
+        }
+    }
+
+    // Sideways placement of an edge among the parallel edges between the same two
+    // nodes: a unit normal shared by the whole bundle and the edge's signed slot
+    // relative to the middle. Null for edges without parallels.
+    function getFanOffset(connection, sourceCenter, targetCenter) {
+        const { source, target, bundleIndex, bundleSize } = connection;
+        if (!bundleSize || bundleSize < 2) return null;
+        const forward = getNodeKey(source) < getNodeKey(target);
+        const along = forward
+            ? unitVector(targetCenter.x - sourceCenter.x, targetCenter.y - sourceCenter.y)
+            : unitVector(sourceCenter.x - targetCenter.x, sourceCenter.y - targetCenter.y);
+        return { normal: { x: -along.y, y: along.x }, slot: bundleIndex - (bundleSize - 1) / 2 };
+    }
+
+    // Side of a node with the fewest other edges attached, where its self-loops go
+    function chooseLoopSide(node, rect) {
+        const counts = { right: 0, top: 0, left: 0, bottom: 0 };
+        getEdgesOfNodes([node]).forEach(({ source, target }) => {
+            if (source === target) return;
+            const other = getNodeRect(source === node ? target : source);
+            const dx = other.centerX - rect.centerX;
+            const dy = other.centerY - rect.centerY;
+            if (Math.abs(dx) >= Math.abs(dy)) {
+                counts[dx >= 0 ? 'right' : 'left']++;
+            } else {
+                counts[dy >= 0 ? 'bottom' : 'top']++;
+            }
+        });
+        return Object.keys(counts).reduce((best, side) => counts[side] < counts[best] ? side : best);
+    }
+
+    // Draw a relation from a node to itself as a loop off one side of its box.
+    // Several loops on the same node are nested, each one reaching further out.
+    function updateSelfLoop(connection) {
+        const { source, label, terminals, startClearance, endClearance, bundleIndex } = connection;
+        const rect = getNodeRect(source);
+        const side = chooseLoopSide(source, rect);
+        const normal = SIDE_NORMALS[side];
+        const tangent = { x: -normal.y, y: normal.x };
+
+        const sideCenter = {
+            x: rect.centerX + normal.x * rect.width / 2,
+            y: rect.centerY + normal.y * rect.height / 2
+        };
+        const sideLength = normal.x !== 0 ? rect.height : rect.width;
+        const halfDepth = normal.x !== 0 ? rect.width / 2 : rect.height / 2;
+        const spread = Math.min(sideLength * 0.4, LOOP_SPREAD + bundleIndex * LOOP_STEP / 2);
+        const size = LOOP_SIZE + bundleIndex * LOOP_STEP;
+
+        const along = (point, distance, sideways) => ({
+            x: point.x + normal.x * distance + tangent.x * sideways,
+            y: point.y + normal.y * distance + tangent.y * sideways
+        });
+        // Loop ends on the actual outline, found from inside the box outwards
+        const outlinePoint = (sideways) => {
+            const inside = along(sideCenter, -halfDepth, sideways);
+            return findNodeBoundary(source, inside, along(sideCenter, 0, sideways)) || along(sideCenter, 0, sideways);
+        };
+        const boundaryStart = outlinePoint(-spread);
+        const boundaryEnd = outlinePoint(spread);
+        const pathStart = along(boundaryStart, startClearance, 0);
+        const pathEnd = along(boundaryEnd, endClearance, 0);
+        // Controls far out and slightly apart, so both ends meet the box almost head-on
+        const control1 = along(boundaryStart, size, -size * 0.25);
+        const control2 = along(boundaryEnd, size, size * 0.25);
+
+        setEdgePath(connection, `M${pathStart.x},${pathStart.y} ` +
+            `C${control1.x},${control1.y} ${control2.x},${control2.y} ${pathEnd.x},${pathEnd.y}`);
+
+        // Label just beyond the outermost point of the loop
+        if (label) {
+            let labelBBox = { width: 10, height: 5 };
+            try {
+                labelBBox = label.getBBox();
+            } catch (e) { /* Ignore error */ }
+            const apex = {
+                x: (pathStart.x + 3 * control1.x + 3 * control2.x + pathEnd.x) / 8,
+                y: (pathStart.y + 3 * control1.y + 3 * control2.y + pathEnd.y) / 8
+            };
+            const extent = Math.abs(normal.x) * labelBBox.width / 2 + Math.abs(normal.y) * labelBBox.height / 2 + 4;
+            label.setAttribute('transform',
+                `translate(${apex.x + normal.x * extent - labelBBox.width / 2}, ${apex.y + normal.y * extent})`);
+            applyLabelOverride(connection);
+        }
+
+        if (terminals && terminals.length > 0) {
+            positionTerminalLabels(terminals, {
+                start: {
+                    point: boundaryStart,
+                    direction: unitVector(control1.x - boundaryStart.x, control1.y - boundaryStart.y),
+                    clearance: startClearance
+                },
+                end: {
+                    point: boundaryEnd,
+                    direction: unitVector(control2.x - boundaryEnd.x, control2.y - boundaryEnd.y),
+                    clearance: endClearance
+                }
+            });
+        }
+    }
+
+    // Point of a node's outline straight behind a port on its bounding box
+    function outlineBehindPort(node, port) {
+        const rect = getNodeRect(node);
+        const inside = port.side === 'left' || port.side === 'right'
+            ? { x: rect.centerX, y: port.y }
+            : { x: port.x, y: rect.centerY };
+        return findNodeBoundary(node, inside, port) || { x: port.x, y: port.y };
+    }
+
+    // Draw an edge as straight segments through its manual bend points
+    function drawBentEdge(connection, bends) {
+        const { source, target, label, terminals, startClearance, endClearance } = connection;
+        const sourceCenter = getNodeCenterPosition(source);
+        const targetCenter = getNodeCenterPosition(target);
+        const points = bends.map(bend => fromEdgeFrame(bend, sourceCenter, targetCenter));
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        const boundaryStart = findNodeBoundary(source, sourceCenter, first) || sourceCenter;
+        const boundaryEnd = findNodeBoundary(target, targetCenter, last) || targetCenter;
+        const startDirection = unitVector(first.x - boundaryStart.x, first.y - boundaryStart.y);
+        const endDirection = unitVector(last.x - boundaryEnd.x, last.y - boundaryEnd.y);
+        const route = [
+            { x: boundaryStart.x + startDirection.x * startClearance, y: boundaryStart.y + startDirection.y * startClearance },
+            ...points,
+            { x: boundaryEnd.x + endDirection.x * endClearance, y: boundaryEnd.y + endDirection.y * endClearance }
+        ];
+        setEdgePath(connection, toPolylinePath(route));
+
+        // Label on the middle segment
+        if (label) {
+            const segment = Math.floor((route.length - 2) / 2);
+            const midX = (route[segment].x + route[segment + 1].x) / 2;
+            const midY = (route[segment].y + route[segment + 1].y) / 2;
+            let labelBBox = { width: 10, height: 5 };
+            try {
+                labelBBox = label.getBBox();
+            } catch (e) { /* Ignore error */ }
+            label.setAttribute('transform', `translate(${midX - labelBBox.width / 2}, ${midY})`);
+            applyLabelOverride(connection);
+        }
+
+        if (terminals && terminals.length > 0) {
+            positionTerminalLabels(terminals, {
+                start: { point: boundaryStart, direction: startDirection, clearance: startClearance },
+                end: { point: boundaryEnd, direction: endDirection, clearance: endClearance }
+            });
+        }
+    }
+
+    // Route edges orthogonally around the other nodes. Edges sharing a node side
+    // get spread-out ports, so one edge moving to another side shifts its
+    // neighbors there. Without moved nodes every rectangle is measured and every
+    // edge routed. With moved nodes only those are measured again, ports are
+    // spread again on the sides of the moved nodes and their neighbors, and
+    // edges are rerouted when they touch a moved node, when one of their ports
+    // moved or when a moved node now lies on their path.
+    function updateOrthogonalEdges(movedNodes = null) {
+        // The first update after a render measures everything
+        if (!movedNodes || nodeRects.size === 0) {
+            nodeRects = new Map(getRenderedNodes().map(node => [node, getNodeRect(node)]));
+            movedNodes = null;
+        } else {
+            // Moved nodes include those a patch added (see patchRender)
+            movedNodes.forEach(node => nodeRects.set(node, getNodeRect(node)));
+        }
+        const obstacles = Array.from(nodeRects.values());
+        const movedSet = movedNodes ? new Set(movedNodes) : null;
+        const movedRects = movedNodes ? movedNodes.filter(node => nodeRects.has(node)).map(node => nodeRects.get(node)) : [];
+
+        // Nodes whose ports are spread again, and the edges ending on them
+        let respread = null;
+        let candidates = new Set(edgeConnections.values());
+        if (movedSet) {
+            respread = new Set(movedSet);
+            getEdgesOfNodes(movedNodes).forEach(({ source, target }) => {
+                respread.add(source);
+                respread.add(target);
+            });
+            candidates = getEdgesOfNodes(Array.from(respread));
+        }
+
+        const routed = [];
+        const ends = [];
+        candidates.forEach(connection => {
+            const { edge, source, target } = connection;
+            if (!edge || !nodeRects.has(source) || !nodeRects.has(target)) return;
+            if (source === target) {
+                if (!movedSet || movedSet.has(source)) updateEdgePosition(connection);
+                return;
+            }
+            const sourceRect = nodeRects.get(source);
+            const targetRect = nodeRects.get(target);
+            const sides = chooseSides(sourceRect, targetRect);
+            if (!respread || respread.has(source)) {
+                ends.push({
+                    id: `${connection.id}:start`, nodeKey: getNodeKey(source), rect: sourceRect, side: sides.source,
+                    towards: { x: targetRect.centerX, y: targetRect.centerY }
+                });
+            }
+            if (!respread || respread.has(target)) {
+                ends.push({
+                    id: `${connection.id}:end`, nodeKey: getNodeKey(target), rect: targetRect, side: sides.target,
+                    towards: { x: sourceRect.centerX, y: sourceRect.centerY }
+                });
+            }
+            routed.push(connection);
+        });
+        const ports = assignPorts(ends);
+
+        routed.forEach(connection => {
+            // An end on a node that kept its ports keeps its last port
+            const previous = connection.ports || {};
+            const startPort = ports.has(`${connection.id}:start`)
+                ? { ...ports.get(`${connection.id}:start`), clearance: connection.startClearance }
+                : previous.start;
+            const endPort = ports.has(`${connection.id}:end`)
+                ? { ...ports.get(`${connection.id}:end`), clearance: connection.endClearance }
+                : previous.end;
+            if (!startPort || !endPort) return;
+            const portKey = [startPort, endPort].map(port => `${port.x},${port.y},${port.side}`).join(' ');
+            const stale = !movedSet || !connection.route || connection.portKey !== portKey ||
+                movedSet.has(connection.source) || movedSet.has(connection.target) ||
+                movedRects.some(rect => pathCrossesRect(connection.route, rect));
+            connection.ports = { start: startPort, end: endPort };
+            if (!stale) return;
+
+            connection.portKey = portKey;
+            connection.route = routeOrthogonal(startPort, endPort, obstacles);
+            drawOrthogonalEdge(connection, startPort, endPort);
+        });
+        if (!movedSet) return;
+
+        // Edges away from the moved nodes keep their ports, but go around a node moved onto their path
+        edgeConnections.forEach(connection => {
+            if (candidates.has(connection) || !connection.route || !connection.ports) return;
+            if (!movedRects.some(rect => pathCrossesRect(connection.route, rect))) return;
+            const { start, end } = connection.ports;
+            connection.route = routeOrthogonal(start, end, obstacles);
+            drawOrthogonalEdge(connection, start, end);
+        });
+    }
+
+    // Write an orthogonal route into the edge path, leaving room for the markers,
+    // and place the label on the longest segment
+    function drawOrthogonalEdge(connection, startPort, endPort) {
+        const { source, target, label, terminals, route } = connection;
+        const startNormal = SIDE_NORMALS[startPort.side];
+        const endNormal = SIDE_NORMALS[endPort.side];
+        // Ports lie on the bounding box; the edge starts on the outline behind them
+        const startOutline = outlineBehindPort(source, startPort);
+        const endOutline = outlineBehindPort(target, endPort);
+
+        const points = route.map(point => ({ ...point }));
+        const first = points[0];
+        const last = points[points.length - 1];
+        first.x = startOutline.x + startNormal.x * startPort.clearance;
+        first.y = startOutline.y + startNormal.y * startPort.clearance;
+        last.x = endOutline.x + endNormal.x * endPort.clearance;
+        last.y = endOutline.y + endNormal.y * endPort.clearance;
+
+        setEdgePath(connection, toPolylinePath(points));
+
+        if (label) {
+            let longest = 0;
+            let middle = first;
+            points.forEach((point, index) => {
+                if (index === 0) return;
+                const previous = points[index - 1];
+                const length = Math.abs(point.x - previous.x) + Math.abs(point.y - previous.y);
+                if (length > longest) {
+                    longest = length;
+                    middle = { x: (point.x + previous.x) / 2, y: (point.y + previous.y) / 2 };
+                }
+            });
+            let labelBBox = { width: 10, height: 5 };
+            try {
+                labelBBox = label.getBBox();
+            } catch (e) { /* Ignore error */ }
+            label.setAttribute('transform', `translate(${middle.x - labelBBox.width / 2}, ${middle.y})`);
+            applyLabelOverride(connection);
+        }
+
+        if (terminals && terminals.length > 0) {
+            positionTerminalLabels(terminals, {
+                start: { point: startOutline, direction: startNormal, clearance: startPort.clearance },
+                end: { point: endOutline, direction: endNormal, clearance: endPort.clearance }
+            });
+        }
+    }
+
+    // Distance kept between a node outline and the path end at one end of an edge
+    function markerClearance(edge, end) {
+        const marker = edge.getAttribute(end === 'start' ? 'marker-start' : 'marker-end');
+        if (!marker || !marker.includes('url(')) return REGULAR_OFFSET;
+        const extent = getMarkerExtent(edge, end);
+        return extent === null ? ARROW_TIP_OFFSET : extent;
+    }
+
+    function toPolylinePath(points) {
+        return points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x},${point.y}`).join(' ');
+    }
+
+    // Normalize a vector, returning a zero vector for zero length
+    function unitVector(x, y) {
+        const length = Math.sqrt(x * x + y * y);
+        return length === 0 ? { x: 0, y: 0 } : { x: x / length, y: y / length };
+    }
+
+    // Move an element so that the center of its bounding box lands on (x, y)
+    function placeElementCenter(element, x, y) {
+        const bbox = element.getBBox();
+        const offsetX = x - (bbox.x + bbox.width / 2);
+        const offsetY = y - (bbox.y + bbox.height / 2);
+        element.setAttribute('transform', `translate(${offsetX}, ${offsetY})`);
+    }
+
+    // Place terminal labels (multiplicities) beside the path near its ends. Each
+    // label sits past the marker along the edge direction and off to its side
+    // of the edge, so it neither covers the arrowhead nor the line.
+    function positionTerminalLabels(terminals, ends) {
+        const gap = 4;
+
+        terminals.forEach(({ element, end, side }) => {
+            const { point, direction, clearance } = ends[end];
+            // Direction of travel from source to target at this end
+            const travel = end === 'start' ? direction : { x: -direction.x, y: -direction.y };
+            // Screen y points down, so (-y, x) is the right-hand side of travel
+            const normal = side === 'right'
+                ? { x: -travel.y, y: travel.x }
+                : { x: travel.y, y: -travel.x };
+
+            const bbox = element.getBBox();
+            const halfAlong = Math.abs(direction.x) * bbox.width / 2 + Math.abs(direction.y) * bbox.height / 2;
+            const halfAcross = Math.abs(normal.x) * bbox.width / 2 + Math.abs(normal.y) * bbox.height / 2;
+            const along = clearance + gap + halfAlong;
+            const across = halfAcross + gap;
+
+            placeElementCenter(element,
+                point.x + direction.x * along + normal.x * across,
+                point.y + direction.y * along + normal.y * across);
+        });
+    }
+
+    // Helper function to redraw all edges based on current setting
+    function redrawAllEdges() {
+        scheduleMinimapUpdate();
+        fitNamespaceFrames();
+        if (edgeStyle === 'orthogonal') {
+            updateOrthogonalEdges();
+            return;
+        }
+        edgeConnections.forEach(connection => {
+            updateEdgePosition(connection);
+        });
+    }
+
+    // All node groups of the rendered diagram
+    function getRenderedNodes() {
+        return Array.from(mermaidOutput.querySelectorAll('svg g.node'));
+    }
+
+    // Current positions of the given nodes (all rendered nodes if omitted), keyed by node key
+    function capturePositions(nodes = getRenderedNodes()) {
+        const positions = new Map();
+        nodes.forEach(node => {
+            positions.set(getNodeKey(node), getNodeTransform(node));
+        });
+        return positions;
+    }
+
+    // Move nodes to the given positions, store them and reroute their edges
+    function applyPositions(positions) {
+        const nodesByKey = new Map(getRenderedNodes().map(node => [getNodeKey(node), node]));
+        const moved = [];
+        positions.forEach((position, key) => {
+            layoutStore.set(key, position);
+            const node = nodesByKey.get(key);
+            if (node) {
+                node.setAttribute('transform', `translate(${position.x},${position.y})`);
+                moved.push(node);
+            }
+        });
+        updateEdgesForNodes(moved);
+    }
+
+    // Record a change of node positions as an undoable command
+    function recordLayoutChange(label, before, after) {
+        const changed = Array.from(after).some(([key, position]) => {
+            const previous = before.get(key);
+            return !previous || previous.x !== position.x || previous.y !== position.y;
+        });
+        if (!changed) return;
+
+        emitNodesMoved(after);
+        layoutHistory.push({
+            label: label,
+            undo: () => {
+                applyPositions(before);
+                emitNodesMoved(before);
+            },
+            redo: () => {
+                applyPositions(after);
+                emitNodesMoved(after);
+            }
+        });
+    }
+
+    // Tell the page where nodes were moved to, as { positions: { key: { x, y } } }
+    function emitNodesMoved(positions) {
+        const detail = {};
+        positions.forEach(({ x, y }, key) => {
+            detail[key] = { x, y };
+        });
+        emit('nodemoved', { positions: detail });
+    }
+
+    // Source text, stored layout and edge style, restorable as one unit
+    function createCheckpoint(text = mermaidInput.value, layout = layoutStore, edges = edgeOverrides) {
+        return { text: text, layout: new Map(layout), edges: new Map(edges), edgeStyle: edgeStyle };
+    }
+
+    async function restoreCheckpoint(checkpoint) {
+        clearTimeout(debounceTimer);
+        mermaidInput.value = checkpoint.text;
+        layoutStore.clear();
+        checkpoint.layout.forEach((position, key) => layoutStore.set(key, position));
+        edgeOverrides.clear();
+        checkpoint.edges.forEach((override, edgeId) => edgeOverrides.set(edgeId, override));
+        setEdgeStyle(checkpoint.edgeStyle);
+        // The restored layout already reflects any embedded directives
+        lastEmbeddedLayout = extractEmbeddedLayout(checkpoint.text.trim());
+
+        restoringCheckpoint = true;
+        try {
+            await renderMermaid();
+        } finally {
+            restoringCheckpoint = false;
+        }
+    }
+
+    function recordCheckpointChange(label, before, after) {
+        layoutHistory.push({
+            label: label,
+            undo: () => restoreCheckpoint(before),
+            redo: () => restoreCheckpoint(after)
+        });
+    }
+
+    function updateHistoryButtons() {
+        const nextUndo = layoutHistory.peekUndo();
+        const nextRedo = layoutHistory.peekRedo();
+        undoButton.disabled = !layoutHistory.canUndo();
+        redoButton.disabled = !layoutHistory.canRedo();
+        undoButton.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        redoButton.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+
+    function setEdgeStyle(style) {
+        edgeStyle = style;
+        edgeStyleSelect.value = style;
+        redrawAllEdges();
+    }
+
+    // Show a message in the status bar ('info', 'warning' or 'error'); empty text hides it
+    function showStatus(text, type = 'info') {
+        statusMessage.textContent = text;
+        statusMessage.className = `status-message ${type}`;
+        statusMessage.hidden = !text;
+        edgeWarningVisible = false;
+        renderErrorVisible = false;
+    }
+
+    // Replace the layout store and edge style with a loaded layout
+    function loadLayout(layout, problems) {
+        layoutStore.clear();
+        missingPositions.clear();
+        missingEdgeOverrides.clear();
+        Object.entries(layout.nodes).forEach(([key, position]) => {
+            layoutStore.set(key, position);
+        });
+        edgeOverrides.clear();
+        Object.entries(layout.edges).forEach(([edgeId, override]) => {
+            edgeOverrides.set(edgeId, override);
+        });
+        if (layout.edgeStyle) {
+            edgeStyle = layout.edgeStyle;
+            edgeStyleSelect.value = edgeStyle;
+        }
+        pendingViewport = layout.viewport;
+        pendingLayoutProblems = problems.slice();
+    }
+
+    // Snapshot of the current layout: every rendered node's position plus the viewport
+    function getCurrentLayout() {
+        const positions = new Map(layoutStore);
+        mermaidOutput.querySelectorAll('svg g.node').forEach(node => {
+            positions.set(getNodeKey(node), getNodeTransform(node));
+        });
+        const viewport = panZoomInstance
+            ? { zoom: panZoomInstance.getZoom(), pan: panZoomInstance.getPan() }
+            : null;
+        return createLayout(positions, edgeStyle, viewport, edgeOverrides);
+    }
+
+    // Apply "%% layout:" directives from the source when they have changed
+    function applyEmbeddedLayout(definition) {
+        const embedded = extractEmbeddedLayout(definition);
+        if (embedded === lastEmbeddedLayout) return;
+        lastEmbeddedLayout = embedded;
+        if (!embedded) return;
+
+        try {
+            const { layout, problems } = parseLayout(embedded);
+            loadLayout(layout, problems);
+        } catch (error) {
+            showStatus(`Embedded layout ignored: ${error.message}`, 'error');
+        }
+    }
+
+    // Offer text or a Blob as a file download
+    function downloadFile(filename, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // The rendered diagram as a standalone SVG ({ markup, width, height, background }), or null
+    function getStandaloneSvg() {
+        const svg = mermaidOutput.querySelector('svg');
+        if (!svg) return null;
+        const darkMode = darkModeToggle.checked;
+        const background = darkMode ? '#2a2a2a' : '#ffffff';
+        return { ...createStandaloneSvg(svg, { darkMode, background }), background };
+    }
+
+    // Export the current diagram in the given format ('svg', 'png' or 'pdf')
+    async function exportDiagram(format) {
+        const standalone = getStandaloneSvg();
+        if (!standalone) {
+            showStatus('Nothing to export: the diagram has not been rendered', 'error');
+            return;
+        }
+        const { markup, width, height, background } = standalone;
+
+        if (format === 'svg') {
+            downloadFile('diagram.svg', markup, 'image/svg+xml');
+            return;
+        }
+
+        try {
+            const scale = parseFloat(exportScale.value) || 1;
+            const canvas = await rasterizeSvg(markup, width, height, scale, background);
+            if (format === 'png') {
+                downloadFile('diagram.png', await canvasToBlob(canvas, 'image/png'));
+            } else {
+                const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.95);
+                const jpegBytes = new Uint8Array(await jpeg.arrayBuffer());
+                downloadFile('diagram.pdf', createPdf(jpegBytes, canvas.width, canvas.height, width, height));
+            }
+        } catch (error) {
+            showStatus(`Could not export ${format.toUpperCase()}: ${error.message}`, 'error');
+        }
+    }
+
+    // Text edits become checkpoints that restore the layout matching that text;
+    // layout and edges are the state before the edit
+    function recordTextEdit(layout, edges) {
+        const text = mermaidInput.value;
+        if (text !== lastRenderedText) {
+            // Lines linked to the old diagram may have moved
+            linkedLines.clear();
+        }
+        if (lastRenderedText !== null && text !== lastRenderedText && !restoringCheckpoint) {
+            recordCheckpointChange('Edit text',
+                createCheckpoint(lastRenderedText, layout, edges),
+                createCheckpoint(text));
+        }
+        lastRenderedText = text;
+    }
+
+    // Function to render the Mermaid diagram. With skipUnchanged (typing), edits
+    // that change neither the diagram nor its embedded layout only become a text checkpoint
+    const renderMermaid = async ({ skipUnchanged = false } = {}) => {
+        const definition = mermaidInput.value.trim() || defaultDiagram;
+        const signature = `${darkModeToggle.checked ? 'dark' : 'light'}\n${diagramSignature(definition)}`;
+        if (skipUnchanged && signature === renderedSignature && extractEmbeddedLayout(definition) === lastEmbeddedLayout) {
+            recordTextEdit(layoutStore, edgeOverrides);
+            updateEditorBackdrop();
+            highlightDeclarationAtCaret();
+            return;
+        }
+        // Collapsed members and namespaces are left out of what Mermaid renders
+        const collapse = detectDiagramType(definition) === 'class'
+            ? collapseClassSource(definition, getCollapseOptions())
+            : null;
+        const renderedDefinition = collapse ? collapse.text : definition;
+        // Unique ID for each render to force re-rendering
+        const renderId = `mermaid-${Date.now()}-${++renderCount}`;
+        let svg;
+        let diagram;
+        try {
+            ({ svg, diagram } = await renderWithMermaid(darkModeToggle.checked ? 'dark' : 'default', async () => {
+                // Parse first, so a syntax error leaves the last good diagram in place
+                await mermaid.parse(definition);
+                const { svg } = await mermaid.render(renderId, renderedDefinition);
+                // The edge model is built from Mermaid's parsed diagram
+                return { svg, diagram: await mermaid.mermaidAPI.getDiagramFromText(renderedDefinition) };
+            }));
+        } catch (error) {
+            if (!destroyed) showRenderError(error, definition);
+            return;
+        }
+        if (destroyed) return;
+        clearRenderError();
+
+        // Layout before this render, the state a text checkpoint returns to
+        const layoutBeforeRender = new Map(layoutStore);
+        const edgesBeforeRender = new Map(edgeOverrides);
+
+        try {
+            // An edit that keeps the structure of a class diagram only replaces what
+            // changed; a patch that fails half way is repaired by the full render
+            let patched = false;
+            try {
+                patched = patchRender(svg, renderId, diagram, collapse, definition);
+            } catch (error) {
+                console.error('Patching the diagram failed, rendering it in full', error);
+            }
+            if (!patched) showRender(svg, diagram, collapse, definition);
+
+            recordTextEdit(layoutBeforeRender, edgesBeforeRender);
+            renderedSignature = signature;
+            updateEditorBackdrop();
+            highlightDeclarationAtCaret();
+            scheduleMinimapUpdate();
+            emit('rendered', { type: currentAdapter.type, nodes: getRenderedNodes().length, incremental: patched });
+        } catch (error) {
+            showRenderError(error, definition);
+        }
+    };
+
+    // Replace the shown diagram with a new render. An edit of the same diagram
+    // keeps the view and leaves the nodes it did not add where they were.
+    function showRender(svg, diagram, collapse, definition) {
+        // What the previous render showed, carried over to the new one
+        const previousAdapter = currentAdapter;
+        const previousPositions = new Map(getRenderedNodes().map(node => [getNodeKey(node), getNodeTransform(node)]));
+        const previousView = panZoomInstance
+            ? { realZoom: panZoomInstance.getSizes().realZoom, pan: panZoomInstance.getPan() }
+            : null;
+
+        // Clean up previous state
+        cleanup();
+
+        applyEmbeddedLayout(definition);
+        // Pick the adapter for this diagram type; unsupported types render read-only
+        currentAdapter = getAdapter(detectDiagramType(definition));
+        mermaidOutput.classList.toggle('readonly', !currentAdapter.draggable);
+
+        mermaidOutput.innerHTML = svg;
+        const svgElement = mermaidOutput.querySelector('svg');
+        currentAdapter.normalize(svgElement);
+
+        diagramModel = currentAdapter.buildModel(diagram.db);
+        collapsedSource = collapse;
+        const hasNamespaces = Boolean(collapse && collapse.namespaces.length > 0);
+        collapseNamespacesButton.disabled = !hasNamespaces;
+        expandNamespacesButton.disabled = !hasNamespaces;
+        // Taken before the nodes are decorated, to compare the next render with
+        renderedFrame = isPatchable(svgElement, diagramModel, collapse) ? frameMarkup(svgElement) : null;
+        renderedNodeMarkup = new Map(getRenderedNodes().map(node => [getNodeKey(node), nodeMarkup(node)]));
+
+        // Instead of starting over from Mermaid's layout
+        const nextPositions = new Map(getRenderedNodes().map(node => [getNodeKey(node), getNodeTransform(node)]));
+        const knownPositions = getKnownPositions(previousPositions);
+        const sameDiagram = currentAdapter === previousAdapter &&
+            Array.from(nextPositions.keys()).some(key => knownPositions.has(key));
+        carriedPositions = sameDiagram
+            ? carryOverPositions(knownPositions, nextPositions, new Set(layoutStore.keys()))
+            : new Map();
+
+        // Initialize pan and zoom
+        initializePanZoom(sameDiagram ? previousView : null);
+
+        // Make nodes draggable
+        makeNodesDraggable();
+        // Search hits and the focus follow the new diagram
+        relationFilter.disabled = !diagramModel;
+        runSearch(false);
+        updateFocus();
+    }
+
+    // Whether a render can be patched by the next one (see patchRender): a class
+    // diagram without namespaces or notes, whose edges are all parsed relations
+    function isPatchable(svg, model, collapse) {
+        if (currentAdapter.type !== 'class' || !model) return false;
+        if (svg.querySelector('g.cluster') || (collapse && collapse.placeholders.size > 0)) return false;
+        const ids = new Set(model.map(relation => relation.id));
+        return Array.from(svg.querySelectorAll('g.edgePaths path')).every(path => ids.has(path.id));
+    }
+
+    // Bring the shown class diagram up to date with a new render of it by
+    // replacing only the classes and relations that were added, removed or
+    // changed. The view, the pan-zoom and everything about the other nodes and
+    // edges stay as they are. Returns false, with the shown diagram untouched,
+    // when the structure changed (diagram type, theme or styles, namespaces,
+    // notes, a relation Mermaid drew unexpectedly) or a layout is being loaded:
+    // those take a full render.
+    function patchRender(svgText, renderId, diagram, collapse, definition) {
+        const live = mermaidOutput.querySelector('svg');
+        if (!live || !panZoomInstance || renderedFrame === null || detectDiagramType(definition) !== 'class') return false;
+        if (pendingLayoutProblems || pendingViewport || extractEmbeddedLayout(definition) !== lastEmbeddedLayout) return false;
+        const nodesGroup = live.querySelector('g.nodes');
+        const pathsGroup = live.querySelector('g.edgePaths');
+        const labelsGroup = live.querySelector('g.edgeLabels');
+        if (!nodesGroup || !pathsGroup || !labelsGroup) return false;
+
+        // Mermaid's ids (markers, styles) carry the id of the render; the patch keeps the shown one
+        const template = document.createElement('template');
+        template.innerHTML = svgText.split(renderId).join(live.id);
+        const next = template.content.querySelector('svg');
+        if (!next) return false;
+        currentAdapter.normalize(next);
+        const model = currentAdapter.buildModel(diagram.db);
+        if (!isPatchable(next, model, collapse) || frameMarkup(next) !== renderedFrame) return false;
+
+        const nextNodes = new Map(Array.from(next.querySelectorAll('g.node'), node => [getNodeKey(node), node]));
+        // Another diagram altogether is shown from its initial view
+        if (!Array.from(nextNodes.keys()).some(key => renderedNodeMarkup.has(key))) return false;
+        const nextMarkup = new Map(Array.from(nextNodes, ([key, node]) => [key, nodeMarkup(node)]));
+        const nodeChanges = diffNodes(renderedNodeMarkup, nextMarkup);
+        const relationChanges = diffRelations(diagramModel, model);
+        const connectionsByRelation = new Map(Array.from(edgeConnections.values(), connection => [connection.relation, connection]));
+        // Relations are only patched when each removed one was matched, and each added one can be
+        const added = currentAdapter.getEdges(next, Array.from(nextNodes.values()), null, relationChanges.added);
+        if (relationChanges.removed.some(relation => !connectionsByRelation.has(relation)) ||
+            added.some(match => match.warning || !match.source || !match.target)) {
+            return false;
+        }
+
+        cancelInteractions();
+        collapsedSource = collapse;
+        const liveNodes = new Map(getRenderedNodes().map(node => [getNodeKey(node), node]));
+        const previousPositions = new Map(Array.from(liveNodes, ([key, node]) => [key, getNodeTransform(node)]));
+        const nextPositions = new Map(Array.from(nextNodes, ([key, node]) => [key, getNodeTransform(node)]));
+        const carried = carryOverPositions(previousPositions, nextPositions, new Set(layoutStore.keys()));
+        const focused = root.activeElement;
+        let refocus = null;
+        let tabStop = null;
+        // Nodes new to the SVG, and nodes whose edges are redrawn
+        const fresh = [];
+        const touched = new Set();
+
+        // A changed node is replaced where it stands; its edges move over to the new element
+        nodeChanges.changed.forEach(key => {
+            const node = liveNodes.get(key);
+            const replacement = nextNodes.get(key);
+            replacement.setAttribute('transform', node.getAttribute('transform'));
+            removeNodeDescription(node);
+            node.replaceWith(replacement);
+            const edges = nodeEdges.get(node) || new Set();
+            edges.forEach(connection => {
+                if (connection.source === node) connection.source = replacement;
+                if (connection.target === node) connection.target = replacement;
+            });
+            nodeEdges.delete(node);
+            nodeRects.delete(node);
+            if (edges.size > 0) nodeEdges.set(replacement, edges);
+            if (focused && node.contains(focused)) refocus = replacement;
+            if (node.getAttribute('tabindex') === '0') tabStop = replacement;
+            liveNodes.set(key, replacement);
+            fresh.push(replacement);
+            touched.add(replacement);
+        });
+
+        relationChanges.removed.forEach(relation => {
+            const connection = connectionsByRelation.get(relation);
+            disconnectEdge(connection);
+            touched.add(connection.source);
+            touched.add(connection.target);
+        });
+        relationChanges.kept.forEach(([previous, relation]) => {
+            const connection = connectionsByRelation.get(previous);
+            if (!connection) return;
+            connection.relation = relation;
+            connection.edge.id = relation.id;
+        });
+
+        nodeChanges.removed.forEach(key => {
+            const node = liveNodes.get(key);
+            removeNodeDescription(node);
+            node.remove();
+            nodeEdges.delete(node);
+            nodeRects.delete(node);
+            liveNodes.delete(key);
+            selectedKeys.delete(key);
+            pinnedKeys.delete(key);
+        });
+        pruneStoredLayout(new Set(nextNodes.keys()));
+
+        // Added nodes go where they were stored, or move with the rest of the diagram
+        nodeChanges.added.forEach(key => {
+            const node = nextNodes.get(key);
+            const position = layoutStore.get(key) || carried.get(key);
+            if (position) node.setAttribute('transform', `translate(${position.x},${position.y})`);
+            nodesGroup.appendChild(node);
+            liveNodes.set(key, node);
+            fresh.push(node);
+            touched.add(node);
+        });
+        // Stored positions win over the shown ones (e.g. when undo restored a layout)
+        liveNodes.forEach((node, key) => {
+            const position = layoutStore.get(key);
+            const current = getNodeTransform(node);
+            if (position && (position.x !== current.x || position.y !== current.y)) {
+                node.setAttribute('transform', `translate(${position.x},${position.y})`);
+                touched.add(node);
+            }
+        });
+
+        added.forEach(match => {
+            const { edge, label, slot, terminals, relation } = match;
+            pathsGroup.appendChild(edge);
+            new Set([slot, label, ...terminals.map(terminal => terminal.element)]).forEach(element => {
+                if (element) labelsGroup.appendChild(element);
+            });
+            const source = liveNodes.get(relation.source);
+            const target = liveNodes.get(relation.target);
+            connectEdge({ ...match, source, target }, relation.key);
+            restoreEdgeOverride(relation.key);
+            touched.add(source);
+            touched.add(target);
+        });
+        assignEdgeBundles();
+        diagramModel = model;
+        renderedNodeMarkup = nextMarkup;
+
+        fresh.forEach(makeNodeClickable);
+        makeNodesFocusable(live, fresh);
+        addRelationHandles(fresh);
+        addCollapseToggles(live, fresh);
+        fresh.forEach(node => {
+            const key = getNodeKey(node);
+            node.classList.toggle('selected', selectedKeys.has(key));
+            node.classList.toggle('pinned', pinnedKeys.has(key));
+        });
+        const redrawn = Array.from(touched).filter(node => node.isConnected);
+        updateEdgesForNodes(redrawn);
+        // The directions of the other nodes' relations are described from where they are now
+        redrawn.forEach(node => {
+            if (!fresh.includes(node)) updateNodeDescription(node);
+        });
+
+        if (tabStop) {
+            tabStop.setAttribute('tabindex', '0');
+        } else if (!live.querySelector('g.node[tabindex="0"]')) {
+            const [first] = getNodesInReadingOrder();
+            if (first) first.setAttribute('tabindex', '0');
+        }
+        if (refocus) refocus.focus({ preventScroll: true });
+        // Search hits and the focus only need updating while they are shown
+        if (searchInput.value.trim()) runSearch(false);
+        if (focusToggle.checked || relationFilter.value !== 'all') updateFocus();
+        return true;
+    }
+
+    // Take an edge's elements out of the SVG and forget it; its manual geometry
+    // is set aside for when it comes back
+    function disconnectEdge(connection) {
+        const { edge, hitPath, label, slot, terminals } = connection;
+        [edge, hitPath, label, slot, ...terminals.map(terminal => terminal.element)].forEach(element => {
+            if (element) element.remove();
+        });
+        edgeConnections.delete(connection.id);
+        [connection.source, connection.target].forEach(node => {
+            if (nodeEdges.has(node)) nodeEdges.get(node).delete(connection);
+        });
+        if (edgeOverrides.has(connection.id)) {
+            missingEdgeOverrides.set(connection.id, edgeOverrides.get(connection.id));
+            edgeOverrides.delete(connection.id);
+        }
+        if (selectedEdgeId === connection.id) selectedEdgeId = null;
+    }
+
+    // Switch the viewer to the light or dark theme (without re-rendering)
+    function applyTheme(dark) {
+        darkModeToggle.checked = dark;
+        viewerElement.classList.toggle('dark-mode', dark);
+        scheduleMinimapUpdate();
+        emit('themechange', { theme: dark ? 'dark' : 'light' });
+    }
+
+    // Load source, layout and theme from a "#share=..." URL fragment. A broken
+    // link leaves the current diagram in place and says why.
+    async function openShareLink(hash) {
+        try {
+            const shared = await readShareFragment(hash);
+            mermaidInput.value = shared.source;
+            // The shared layout wins over any "%% layout:" lines in the shared source
+            lastEmbeddedLayout = extractEmbeddedLayout(shared.source.trim());
+            applyTheme(shared.theme === 'dark');
+            if (shared.layout) {
+                loadLayout(shared.layout, shared.problems);
+            }
+            return true;
+        } catch (error) {
+            showStatus(`Could not open the shared link: ${error.message}. Showing the default diagram instead.`, 'error');
+            return false;
+        }
+    }
+
+    // --- Event Listeners ---
+
+    // Re-render on input change (with debounce)
+    let debounceTimer;
+    mermaidInput.addEventListener('input', () => {
+        linkedLines.clear();
+        updateEditorBackdrop();
+        clearTimeout(debounceTimer);
+        // Wait 500ms after last input
+        debounceTimer = setTimeout(() => renderMermaid({ skipUnchanged: true }), 500);
+    });
+
+    // Dark mode toggle
+    darkModeToggle.addEventListener('change', () => {
+        applyTheme(darkModeToggle.checked);
+
+        renderMermaid(); // Re-render with the new theme
+    });
+
+    // Edge style handler
+    edgeStyleSelect.addEventListener('change', () => {
+        const previous = edgeStyle;
+        const style = edgeStyleSelect.value;
+        setEdgeStyle(style); // Update existing edges
+        layoutHistory.push({
+            label: 'Change edge style',
+            undo: () => setEdgeStyle(previous),
+            redo: () => setEdgeStyle(style)
+        });
+    });
+
+    // Layout export as a JSON sidecar file
+    exportLayoutButton.addEventListener('click', () => {
+        downloadFile('diagram-layout.json', serializeLayout(getCurrentLayout()), 'application/json');
+    });
+
+    // Layout import from a JSON sidecar file
+    importLayoutButton.addEventListener('click', () => {
+        importLayoutInput.click();
+    });
+
+    importLayoutInput.addEventListener('change', async () => {
+        const file = importLayoutInput.files[0];
+        importLayoutInput.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        try {
+            const { layout, problems } = parseLayout(await file.text());
+            const before = createCheckpoint();
+            loadLayout(layout, problems);
+            await renderMermaid();
+            recordCheckpointChange('Import layout', before, createCheckpoint());
+        } catch (error) {
+            showStatus(`Could not import layout: ${error.message}`, 'error');
+        }
+    });
+
+    // Export menu
+    exportMenu.querySelectorAll('button[data-format]').forEach(button => {
+        button.addEventListener('click', () => {
+            exportMenu.open = false;
+            exportDiagram(button.dataset.format);
+        });
+    });
+
+    // Embed the current layout in the source as "%% layout:" comment lines
+    embedLayoutButton.addEventListener('click', () => {
+        const before = createCheckpoint();
+        const source = embedLayout(mermaidInput.value, getCurrentLayout());
+        mermaidInput.value = source;
+        lastRenderedText = source; // Same diagram, so the next edit starts from here
+        recordCheckpointChange('Embed layout', before, createCheckpoint());
+        // The embedded layout already matches the view, no need to re-apply it
+        lastEmbeddedLayout = extractEmbeddedLayout(source.trim());
+        showStatus('Layout embedded in the diagram source', 'info');
+    });
+
+    // Copy a link that restores the diagram, layout, theme and view
+    copyLinkButton.addEventListener('click', async () => {
+        try {
+            const fragment = await createShareFragment({
+                source: mermaidInput.value,
+                layout: getCurrentLayout(),
+                theme: darkModeToggle.checked ? 'dark' : 'light'
+            });
+            const url = window.location.href.split('#')[0] + fragment;
+            if (url.length > LINK_MAX_LENGTH) {
+                showStatus(`The link would be ${url.length.toLocaleString()} characters long, too long to share. ` +
+                    'Use Export Layout or Embed Layout in Source and share the file or text instead.', 'error');
+                return;
+            }
+            await navigator.clipboard.writeText(url);
+            if (url.length > LINK_WARNING_LENGTH) {
+                showStatus(`Link copied, but it is ${url.length.toLocaleString()} characters long. ` +
+                    'Some chat tools and browsers cut off links this long; share the layout as a file if it does not open.', 'warning');
+            } else {
+                showStatus('Link copied to the clipboard', 'info');
+            }
+        } catch (error) {
+            showStatus(`Could not copy the link: ${error.message}`, 'error');
+        }
+    });
+
+    // Pasting another shared link into the address bar only changes the fragment
+    if (shareLinks) {
+        listen(window, 'hashchange', async () => {
+            if (!hasShareFragment(window.location.hash)) return;
+            const before = createCheckpoint();
+            if (await openShareLink(window.location.hash)) {
+                // Recorded as one step below rather than as a text edit
+                restoringCheckpoint = true;
+                try {
+                    await renderMermaid();
+                } finally {
+                    restoringCheckpoint = false;
+                }
+                recordCheckpointChange('Open shared link', before, createCheckpoint());
+            }
+        });
+    }
+
+    // Undo/redo toolbar buttons and shortcuts
+    undoButton.addEventListener('click', () => layoutHistory.undo());
+    redoButton.addEventListener('click', () => layoutHistory.redo());
+
+    // Shortcuts act on the viewer that has the focus
+    viewerElement.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        // Leave text fields to their own undo
+        if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            layoutHistory.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            layoutHistory.redo();
+        }
+    });
+
+    updateHistoryButtons();
+
+    // Selection shortcuts
+    viewerElement.addEventListener('keydown', (e) => {
+        if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (!currentAdapter.draggable) return;
+
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'a') {
+            e.preventDefault();
+            setSelection(getRenderedNodes());
+        } else if (e.key === 'Delete' && canEditClasses()) {
+            // Class diagrams delete what is selected from the source
+            e.preventDefault();
+            cancelSelectionBox();
+            deleteSelection();
+        } else if (e.key === 'Escape' || e.key === 'Delete') {
+            cancelSelectionBox();
+            clearSelection();
+        }
+    });
+
+    // Holding Space turns a left-drag into panning, for trackpads without a middle button
+    viewerElement.addEventListener('keydown', (e) => {
+        if (e.key !== ' ' || e.ctrlKey || e.metaKey || e.altKey) return;
+        // Space types or presses buttons in controls
+        if (e.target.closest('input, textarea, select, button, summary, [contenteditable="true"]')) return;
+        e.preventDefault(); // Do not scroll the page
+        spacePanning = true;
+        mermaidOutput.classList.add('space-pan');
+    });
+
+    const stopSpacePanning = () => {
+        spacePanning = false;
+        mermaidOutput.classList.remove('space-pan');
+    };
+    viewerElement.addEventListener('keyup', (e) => {
+        if (e.key === ' ') stopSpacePanning();
+    });
+    // The key release is missed when the focus leaves the viewer or the window
+    viewerElement.addEventListener('focusout', (e) => {
+        if (!viewerElement.contains(e.relatedTarget)) stopSpacePanning();
+    });
+    listen(window, 'blur', stopSpacePanning);
+
+    // The editor's backdrop scrolls with it; the caret's line highlights its declaration
+    mermaidInput.addEventListener('scroll', syncEditorScroll);
+    // (on blur the editor no longer has focus, which clears the highlight)
+    ['keyup', 'click', 'focus', 'blur'].forEach(type => {
+        mermaidInput.addEventListener(type, highlightDeclarationAtCaret);
+    });
+
+    // Search box: typing jumps to the first hit, Enter/Shift+Enter cycle through them
+    searchInput.addEventListener('input', () => runSearch(true));
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            goToSearchMatch(searchIndex + (e.shiftKey ? -1 : 1));
+        } else if (e.key === 'Escape' && searchInput.value) {
+            searchInput.value = '';
+            runSearch(false);
+        }
+    });
+    searchPrevButton.addEventListener('click', () => goToSearchMatch(searchIndex - 1));
+    searchNextButton.addEventListener('click', () => goToSearchMatch(searchIndex + 1));
+
+    // Focus mode and relation filter
+    focusToggle.addEventListener('change', () => {
+        if (focusToggle.checked && selectedKeys.size === 0) {
+            showStatus('Select one or more nodes to focus on them and their relations', 'info');
+        }
+        updateFocus();
+    });
+    focusHopsInput.addEventListener('change', updateFocus);
+    relationFilter.addEventListener('change', updateFocus);
+
+    // Collapsing members of all classes, and all namespaces at once
+    memberModeSelect.addEventListener('change', () => setDefaultMemberMode(memberModeSelect.value));
+    collapseNamespacesButton.addEventListener('click', () => setAllNamespacesCollapsed(true));
+    expandNamespacesButton.addEventListener('click', () => setAllNamespacesCollapsed(false));
+
+    // Class editor: Ctrl+Enter or leaving it applies the text, Escape drops it
+    classEditor.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeClassEditor(false, true);
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            closeClassEditor(true, true);
+        }
+    });
+    classEditor.addEventListener('input', () => {
+        classEditor.rows = classEditor.value.split('\n').length + 1;
+    });
+    classEditor.addEventListener('blur', () => closeClassEditor(true));
+
+    // Relation picker: the chosen type adds the relation; Escape or leaving it cancels
+    relationPicker.querySelectorAll('button[data-relation]').forEach(button => {
+        button.addEventListener('click', () => {
+            if (!pendingRelation) return;
+            const { source, target } = pendingRelation;
+            const type = button.dataset.relation;
+            closeRelationPicker();
+            applySourceEdit(addRelation(getEditableSource(), source, target, type), `Add ${type} from ${source} to ${target}`);
+        });
+    });
+    relationPicker.addEventListener('keydown', (e) => {
+        const buttons = Array.from(relationPicker.querySelectorAll('button'));
+        const index = buttons.indexOf(e.target);
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            closeRelationPicker();
+            mermaidOutput.querySelector('svg').focus();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            buttons[(index + (e.key === 'ArrowDown' ? 1 : buttons.length - 1)) % buttons.length].focus();
+        }
+    });
+    relationPicker.addEventListener('focusout', (e) => {
+        if (!relationPicker.contains(e.relatedTarget)) closeRelationPicker();
+    });
+
+    // The minimap is only drawn while it is open; the view rectangle follows the window size
+    minimapPanel.addEventListener('toggle', scheduleMinimapUpdate);
+    listen(window, 'resize', scheduleMinimapUpdate);
+
+    // Re-layout menu and pinning
+    relayoutMenu.querySelectorAll('button[data-algorithm]').forEach(button => {
+        button.addEventListener('click', () => {
+            relayoutMenu.open = false;
+            runAutoLayout(button.dataset.algorithm);
+        });
+    });
+
+    pinButton.addEventListener('click', togglePinSelection);
+
+    // Grid, guides and alignment
+    snapToggle.addEventListener('change', updateGridLayer);
+    gridSpacingInput.addEventListener('change', updateGridLayer);
+
+    alignMenu.querySelectorAll('button[data-align]').forEach(button => {
+        button.addEventListener('click', () => {
+            alignMenu.open = false;
+            alignSelection(button.dataset.align);
+        });
+    });
+
+    alignMenu.querySelectorAll('button[data-distribute]').forEach(button => {
+        button.addEventListener('click', () => {
+            alignMenu.open = false;
+            distributeSelection(button.dataset.distribute);
+        });
+    });
+
+    // --- Initial setup ---
+
+    // Source, theme and edge style from the options; without a theme the viewer
+    // follows the system's color scheme
+    mermaidInput.value = options.source !== undefined ? options.source : defaultDiagram;
+    if (EDGE_STYLES.includes(options.edgeStyle)) setEdgeStyle(options.edgeStyle);
+    const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    applyTheme(options.theme ? options.theme === 'dark' : prefersDark);
+    copyLinkButton.hidden = !shareLinks;
+
+    // Initial render, after restoring a shared diagram from the URL
+    (async () => {
+        if (shareLinks && hasShareFragment(window.location.hash)) {
+            await openShareLink(window.location.hash);
+        }
+        renderMermaid();
+    })();
+
+    // Stop rendering and remove everything the viewer registered outside its own
+    // elements; the viewer cannot be used afterwards
+    function destroy() {
+        destroyed = true;
+        clearTimeout(debounceTimer);
+        cancelAnimationFrame(minimapFrame);
+        cleanup();
+        stopSpacePanning();
+        listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        listeners.length = 0;
+    }
+
+    async function setLayout(layout) {
+        const { layout: parsed, problems } = parseLayout(typeof layout === 'string' ? layout : JSON.stringify(layout));
+        const before = createCheckpoint();
+        loadLayout(parsed, problems);
+        await renderMermaid();
+        recordCheckpointChange('Set layout', before, createCheckpoint());
+    }
+
+    return {
+        getSource: () => mermaidInput.value,
+        setSource: async (source) => {
+            clearTimeout(debounceTimer);
+            mermaidInput.value = source;
+            await renderMermaid();
+        },
+        getLayout: () => getCurrentLayout(),
+        setLayout,
+        fit: fitToView,
+        // The diagram's markup as the SVG export downloads it, null before the first render
+        exportSvg: () => {
+            const standalone = getStandaloneSvg();
+            return standalone ? standalone.markup : null;
+        },
+        getTheme: () => (darkModeToggle.checked ? 'dark' : 'light'),
+        setTheme: async (theme) => {
+            applyTheme(theme === 'dark');
+            await renderMermaid();
+        },
+        getEdgeStyle: () => edgeStyle,
+        setEdgeStyle: (style) => {
+            if (EDGE_STYLES.includes(style)) setEdgeStyle(style);
+        },
+        destroy
+    };
+}